@@ -0,0 +1,131 @@
+/**
+ * PM Wisdom Engine - App Bundling
+ * 
+ * Bundles all data into a single HTML file for easy distribution,
+ * along with a prebuilt lunr search index (see search.js), semantic
+ * vectors for the segments (see semantic.js), the shared vocabulary
+ * of synonyms and topics (see vocabulary.js), the framework registry
+ * (see framework-registry.js) and the framework graph (see
+ * framework-graph.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateAll } = require('./validate');
+const { buildIndex } = require('./search');
+const { buildSemanticIndex } = require('./semantic');
+const { loadVocabulary, compileVocabulary } = require('./vocabulary');
+const { loadFrameworkRegistry } = require('./framework-registry');
+
+const DEFAULT_DIRS = {
+  dataDir: path.join(__dirname, '../data'),
+  srcDir: path.join(__dirname, '../src'),
+  outputDir: path.join(__dirname, '../dist'),
+};
+const DATA_FILES = ['episodes', 'segments', 'frameworks', 'framework-graph', 'contradictions', 'insights', 'stats'];
+const OUTPUT_FILE = 'pm-wisdom-engine.html';
+
+// Code the app shares with Node, inlined so the bundle works offline
+const APP_LIBS = ['lunr/lunr.min.js', './vocabulary.js', './search.js', './semantic.js', './engine.js'];
+
+/**
+ * Build the single-file app.
+ * 
+ * Options:
+ *   dataDir       where the data files are read (default data/)
+ *   srcDir        where app.html is read (default src/)
+ *   outputDir     where the app is written (default dist/)
+ *   registryFile  framework registry to bundle (default config/frameworks.json)
+ *   write         write the app to outputDir and dataDir (default true)
+ *   log           progress callback, e.g. console.log
+ *   warn          callback for missing data files (default: log)
+ * 
+ * Returns { html, outputPath, size }. Throws, before writing anything, if
+ * the data breaks the contract in schemas/ or the template is missing.
+ */
+function buildApp(options = {}) {
+  const { dataDir, srcDir, outputDir } = { ...DEFAULT_DIRS, ...options };
+  const { registryFile, write = true, log = () => {}, warn = log } = options;
+  
+  // Load all data files
+  const data = {};
+  const loaded = {};
+  
+  for (const file of DATA_FILES) {
+    const filePath = path.join(dataDir, `${file}.json`);
+    if (fs.existsSync(filePath)) {
+      data[file] = loaded[file] = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+      log(`✅ Loaded ${file}.json`);
+    } else {
+      data[file] = [];
+      warn(`⚠️  ${file}.json not found, using empty array`);
+    }
+  }
+  
+  // Refuse to bundle data that breaks the contract in schemas/
+  const errors = validateAll(loaded);
+  const broken = Object.keys(errors);
+  if (broken.length > 0) {
+    const report = broken.map(file => [`   ${file}.json`, ...errors[file].slice(0, 5).map(e => `     • ${e}`)].join('\n'));
+    throw new Error(`Data breaks the contract, not building:\n${report.join('\n')}\n\n   Run npm run validate for the full report.`);
+  }
+  
+  // Speaker turns repeat the transcript text and the app doesn't read them
+  data.episodes = data.episodes.map(({ turns, ...episode }) => episode);
+  
+  // Load the HTML template
+  const templatePath = path.join(srcDir, 'app.html');
+  if (!fs.existsSync(templatePath)) {
+    throw new Error(`app.html not found in ${srcDir}`);
+  }
+  
+  let template = fs.readFileSync(templatePath, 'utf-8');
+  
+  // The app matches synonyms and topics with the same dictionary as the indexes
+  data.vocabulary = loadVocabulary();
+  const vocabulary = compileVocabulary(data.vocabulary);
+  
+  // Stages, aliases and related frameworks come from the same registry the extractor used
+  data.framework_registry = loadFrameworkRegistry(registryFile).map(({ patterns, ...framework }) => framework);
+  data.framework_graph = data['framework-graph'];
+  delete data['framework-graph'];
+  
+  // Index segments, episodes, frameworks and insights for ranked search
+  const indexStart = Date.now();
+  data.search_index = buildIndex(data, { vocabulary });
+  const documents = ['segments', 'episodes', 'frameworks', 'insights'].reduce((n, file) => n + data[file].length, 0);
+  log(`\n🔎 Indexed ${documents} documents in ${Date.now() - indexStart}ms`);
+  
+  // Fold segments into LSA vectors for semantic search
+  const semanticStart = Date.now();
+  data.semantic_index = buildSemanticIndex(data.segments, { vocabulary });
+  log(`🧭 Semantic vectors: ${data.segments.length} segments × ${data.semantic_index.dimensions} dimensions, ${data.semantic_index.terms.length} terms in ${Date.now() - semanticStart}ms`);
+  
+  const libScript = APP_LIBS
+    .map(file => `<script>\n${fs.readFileSync(require.resolve(file), 'utf-8').replace(/<\/script/gi, '<\\/script')}\n</script>`)
+    .join('\n');
+  
+  // Inject data into template
+  const dataScript = `<script>
+window.PM_WISDOM_DATA = ${JSON.stringify(data)};
+</script>`;
+  
+  const html = template
+    .replace('<!-- LIB_INJECTION_POINT -->', () => libScript)
+    .replace('<!-- DATA_INJECTION_POINT -->', () => dataScript);
+  
+  const outputPath = path.join(outputDir, OUTPUT_FILE);
+  if (write) {
+    fs.mkdirSync(outputDir, { recursive: true });
+    fs.writeFileSync(outputPath, html);
+    // Also copy to data directory for easy access
+    fs.writeFileSync(path.join(dataDir, OUTPUT_FILE), html);
+  }
+  
+  return { html, outputPath, size: Buffer.byteLength(html) };
+}
+
+module.exports = {
+  APP_LIBS,
+  buildApp,
+};
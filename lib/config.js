@@ -0,0 +1,82 @@
+/**
+ * PM Wisdom Engine - Pipeline Configuration
+ *
+ * Merges the optional pm-wisdom.config.json at the repo root with
+ * command-line flags. Flags always win over the config file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE = path.join(__dirname, '../pm-wisdom.config.json');
+
+/**
+ * Parse `--flag value`, `--flag=value` and bare `--flag` arguments.
+ * A flag given more than once collects its values into an array.
+ */
+function parseArgs(argv) {
+  const flags = {};
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const [key, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    const name = key.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    let value = true;
+    if (inlineValue !== undefined) {
+      value = inlineValue;
+    } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+      value = argv[++i];
+    }
+    flags[name] = name in flags ? [].concat(flags[name], value) : value;
+  }
+
+  return { flags, positional };
+}
+
+/**
+ * Load the config file (if any) merged with command-line flags
+ */
+function loadConfig(argv = process.argv.slice(2)) {
+  let fileConfig = {};
+  if (fs.existsSync(CONFIG_FILE)) {
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Could not parse ${path.basename(CONFIG_FILE)}: ${error.message}`);
+    }
+  }
+
+  const { flags, positional } = parseArgs(argv);
+  const config = { ...fileConfig, ...flags, positional };
+
+  // --source/--source-type/--show/--hosts on the command line replace the
+  // configured sources. Repeat them to ingest several shows; the nth --show
+  // tags the nth --source and the nth --hosts ("A, B") names its hosts.
+  if (flags.source) {
+    const types = [].concat(flags.sourceType || []);
+    const shows = [].concat(flags.show || []);
+    const hosts = [].concat(flags.hosts || []);
+    config.sources = [].concat(flags.source).map((location, i) => {
+      if (!types[i] && !shows[i] && !hosts[i]) return location;
+      const spec = { location };
+      if (types[i]) spec.type = types[i];
+      if (shows[i]) spec.show = shows[i];
+      if (hosts[i]) spec.hosts = String(hosts[i]).split(',').map(host => host.trim()).filter(Boolean);
+      return spec;
+    });
+    delete config.source;
+  }
+
+  return config;
+}
+
+module.exports = {
+  parseArgs,
+  loadConfig,
+};
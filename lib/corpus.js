@@ -0,0 +1,141 @@
+/**
+ * PM Wisdom Engine - Corpus Loading
+ *
+ * Reads the pipeline outputs in data/ for tools that query them outside
+ * the app, such as the command line. The search indexes the app ships
+ * prebuilt are built here on first use and cached in .cache/indexes/
+ * (inside the data directory, for one other than data/), keyed by the
+ * data and by the code and vocabulary that index it. The lookups below
+ * resolve the short names people type for episodes and frameworks.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { defaultCacheDir, hashContent, fingerprintFiles } = require('./incremental');
+const { buildIndex } = require('./search');
+const { buildSemanticIndex } = require('./semantic');
+const { DEFAULT_VOCABULARY_FILE, loadVocabulary, compileVocabulary } = require('./vocabulary');
+const { DEFAULT_FRAMEWORKS_FILE, loadFrameworkRegistry } = require('./framework-registry');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '../data');
+const DATA_FILES = ['episodes', 'segments', 'frameworks', 'contradictions', 'insights', 'stats'];
+const REQUIRED_FILES = ['episodes', 'segments'];
+
+// Files whose logic shapes the indexes; editing them rebuilds the cache
+const INDEX_FILES = ['./search', './semantic', './vocabulary']
+  .map(file => require.resolve(file))
+  .concat([DEFAULT_VOCABULARY_FILE].filter(file => fs.existsSync(file)));
+
+/**
+ * Read data/*.json. Returns { data, hash } where hash identifies the content.
+ */
+function readCorpus(dataDir = DEFAULT_DATA_DIR) {
+  const data = {};
+  const contents = [];
+  for (const file of DATA_FILES) {
+    const filePath = path.join(dataDir, `${file}.json`);
+    if (!fs.existsSync(filePath)) {
+      if (REQUIRED_FILES.includes(file)) {
+        throw new Error(`${file}.json not found in ${dataDir}. Run npm run all first.`);
+      }
+      data[file] = file === 'stats' ? {} : [];
+      continue;
+    }
+    const content = fs.readFileSync(filePath, 'utf-8');
+    try {
+      data[file] = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Could not parse ${file}.json: ${error.message}`);
+    }
+    contents.push(content);
+  }
+  return { data, hash: hashContent(contents.join('\0')) };
+}
+
+/**
+ * Load the corpus with its vocabulary and search indexes attached, as the
+ * app bundle carries them. Pass { cache: false } to rebuild the indexes.
+ * They are cached in `cacheDir`/indexes/ (default .cache/, or .cache/
+ * inside a custom dataDir).
+ */
+function loadCorpus({ dataDir = DEFAULT_DATA_DIR, cache = true, cacheDir = defaultCacheDir(dataDir) } = {}) {
+  const { data, hash } = readCorpus(dataDir);
+  data.vocabulary = loadVocabulary();
+
+  const key = hashContent(`${fingerprintFiles(INDEX_FILES)}:${hash}`);
+  const indexDir = path.join(cacheDir, 'indexes');
+  const cachePath = path.join(indexDir, 'indexes.json');
+  if (cache && fs.existsSync(cachePath)) {
+    try {
+      const cached = JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
+      if (cached.key === key) {
+        data.search_index = cached.search_index;
+        data.semantic_index = cached.semantic_index;
+        return data;
+      }
+    } catch (error) {
+      // An unreadable cache is rebuilt below
+    }
+  }
+
+  const vocabulary = compileVocabulary(data.vocabulary);
+  data.search_index = buildIndex(data, { vocabulary }).toJSON();
+  data.semantic_index = buildSemanticIndex(data.segments, { vocabulary });
+  if (cache) {
+    fs.mkdirSync(indexDir, { recursive: true });
+    fs.writeFileSync(cachePath, JSON.stringify({ key, search_index: data.search_index, semantic_index: data.semantic_index }));
+  }
+  return data;
+}
+
+/**
+ * Find an episode by full ID, or by the guest folder part of it
+ * ("brian-chesky"). Returns null if none matches; throws if the folder
+ * is in several shows.
+ */
+function findEpisode(data, id) {
+  const exact = data.episodes.find(ep => ep.id === id);
+  if (exact) return exact;
+  const matches = data.episodes.filter(ep => ep.id.split(':').pop() === id);
+  if (matches.length > 1) {
+    throw new Error(`"${id}" is in several shows: ${matches.map(ep => ep.id).join(', ')}`);
+  }
+  return matches[0] || null;
+}
+
+/**
+ * Find a framework by name or by one of its aliases in the registry
+ * ("jobs to be done" for JTBD), ignoring case, or by a unique part of its
+ * name. Returns null if none matches; throws if several do.
+ */
+function findFramework(data, name, { registryFile = DEFAULT_FRAMEWORKS_FILE } = {}) {
+  const wanted = name.toLowerCase();
+  const exact = data.frameworks.find(f => f.name.toLowerCase() === wanted);
+  if (exact) return exact;
+  const aliased = loadFrameworkRegistry(registryFile).find(f => f.aliases.some(alias => alias.toLowerCase() === wanted));
+  const byAlias = aliased && data.frameworks.find(f => f.name === aliased.name);
+  if (byAlias) return byAlias;
+  const partial = data.frameworks.filter(f => f.name.toLowerCase().includes(wanted));
+  if (partial.length > 1) {
+    throw new Error(`"${name}" matches several frameworks: ${partial.map(f => f.name).join(', ')}`);
+  }
+  return partial[0] || null;
+}
+
+/**
+ * YouTube link to an episode, or to a moment of it
+ */
+function watchUrl(videoId, seconds) {
+  if (!videoId) return null;
+  return `https://youtube.com/watch?v=${videoId}${seconds ? `&t=${seconds}` : ''}`;
+}
+
+module.exports = {
+  DEFAULT_DATA_DIR,
+  DATA_FILES,
+  readCorpus,
+  loadCorpus,
+  findEpisode,
+  findFramework,
+  watchUrl,
+};
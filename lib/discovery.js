@@ -0,0 +1,367 @@
+/**
+ * PM Wisdom Engine - Framework Discovery
+ *
+ * Mines the transcripts for named concepts the registry doesn't know yet:
+ *
+ *   - phrases that name a concept: "the disagree and commit principle",
+ *     "what I call the messy middle", "we call it the bowling alley"
+ *   - capitalized runs of words that recur: "Working Backwards", "Product Led Growth"
+ *
+ * Candidates are ranked by how many distinct guests use them and written,
+ * with sample contexts, to data/framework-candidates.json. That file is the
+ * review queue: promoting a candidate adds it to config/frameworks.json, and
+ * rejecting one adds it to the registry's "rejected" list so it stays out of
+ * the queue (see scripts/discover-frameworks.js).
+ *
+ * Per-episode results are cached by content hash, like extraction.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { defaultCacheDir, fingerprintFiles, createStageCache } = require('./incremental');
+const { contentText } = require('./sponsors');
+const { assertValid } = require('./validate');
+const { readEpisodes } = require('./frameworks');
+const {
+  DEFAULT_FRAMEWORKS_FILE,
+  readFrameworkRegistry,
+  saveFrameworkRegistry,
+  loadFrameworkRegistry,
+  loadRejected,
+  frameworkMatchers,
+} = require('./framework-registry');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '../data');
+const CANDIDATES_FILE = 'framework-candidates.json';
+
+// Words that end a concept's name: "the X framework", "our X loop"
+const CONCEPT_HEADS = 'framework|model|method|principle|rule|test|matrix|loop|flywheel|playbook|canvas|ladder|pyramid';
+const WORD = "[A-Za-z0-9][\\w'’-]*";
+const HEAD_PHRASE = new RegExp(`\\b(?:the|a|an|our|my|this|that|his|her|their)\\s+((?:${WORD}\\s+){0,3}${WORD})\\s+(${CONCEPT_HEADS})s?\\b`, 'gi');
+const CALLED_PHRASE = new RegExp(`\\b(?:what\\s+(?:I|we)\\s+(?:like\\s+to\\s+)?call|(?:I|we)\\s+(?:like\\s+to\\s+)?call\\s+(?:it|this|that|them))\\s+(?:the\\s+|a\\s+|an\\s+)?["“']?(${WORD}(?:\\s+${WORD}){0,3})`, 'gi');
+const CAPITALIZED_RUN = /(?<![\w'’-])[A-Z][a-z][\w'’-]*(?:(?: (?:of|and|for|to|in|the))?[ -][A-Z][a-z][\w'’-]*){1,3}(?![\w'’-])/g;
+const MINOR_WORDS = new Set(['a', 'an', 'and', 'as', 'at', 'by', 'for', 'in', 'of', 'on', 'or', 'the', 'to', 'vs']);
+const SENTENCE_END = /(?:^|[.!?:;"“”]\s*|\n\s*)$/;
+
+// Words that can't start or end a name, and words too generic to name a concept on their own
+const STOPWORDS = new Set(('a an the and or but so to of in on at for with from by as is are was were be been it its it\'s this that these ' +
+  'those my our your his her their we i you they he she me us them what which who when where why how not no just really very ' +
+  'like kind sort lot bit thing things way because if then than also about into out up down over more most some any all ' +
+  'every each same other new old whole entire simple basic good bad great best big small right wrong real actual classic ' +
+  'typical famous own different specific certain particular too here there now again today anyway basically').split(' '));
+const GENERIC = new Set(('business mental operating revenue pricing data language ai machine learning financial economic ' +
+  'growth sales hiring team product company startup org organizational subscription freemium marketplace role ' +
+  'pilot beta litmus acid user customer market').split(' '));
+const NOT_NAMES = new Set(('I I\'m I\'ve I\'d I\'ll OK Okay Yeah Yes No So And But Oh Well Right Sure Thanks Thank You ' +
+  'Monday Tuesday Wednesday Thursday Friday Saturday Sunday January February March April May June July August ' +
+  'September October November December Mr Mrs Ms Dr').split(' '));
+
+/**
+ * Comparison key for a candidate name: lowercase words, no leading article
+ */
+function candidateKey(name) {
+  return name.toLowerCase().replace(/[’']/g, '').replace(/[^a-z0-9]+/g, ' ').trim().replace(/^(?:the|a|an) /, '');
+}
+
+/**
+ * "disagree and commit principle" → "Disagree and Commit Principle"
+ */
+function titleCase(name) {
+  return name.split(' ')
+    .map((word, i) => (i > 0 && MINOR_WORDS.has(word.toLowerCase()) ? word.toLowerCase() : word.replace(/(^|-)([a-z])/g, (m, sep, letter) => sep + letter.toUpperCase())))
+    .join(' ');
+}
+
+/**
+ * Trim stopwords off both ends of a list of words
+ */
+function trimWords(words) {
+  let start = 0;
+  let end = words.length;
+  while (start < end && STOPWORDS.has(words[start].toLowerCase())) start++;
+  while (end > start && STOPWORDS.has(words[end - 1].toLowerCase())) end--;
+  return words.slice(start, end);
+}
+
+/**
+ * Cut a "what I call ..." capture where the name ends
+ */
+function calledName(capture) {
+  const words = [];
+  for (const word of capture.split(/\s+/)) {
+    if (words.length > 0 && STOPWORDS.has(word.toLowerCase())) break;
+    words.push(word.replace(/["”'’]+$/, ''));
+    if (/["”]$/.test(word)) break;
+  }
+  return trimWords(words).join(' ');
+}
+
+/**
+ * The sentence around a position, for review
+ */
+function sentenceAt(text, index) {
+  const before = text.slice(0, index);
+  const start = Math.max(before.search(/[^.!?\n]*$/), index - 200);
+  const rest = text.slice(index);
+  const end = rest.search(/[.!?\n]/);
+  return text.slice(start, index + (end === -1 ? Math.min(rest.length, 200) : Math.min(end + 1, 200))).trim();
+}
+
+/**
+ * The text to mine: spoken turns without speaker labels where ingest
+ * recorded them, otherwise the transcript
+ */
+function minedTexts(episode, options) {
+  const turns = episode.turns || [];
+  if (turns.length === 0) return [contentText(episode, options)];
+  return turns.filter(turn => options.includeSponsors || !turn.sponsor).map(turn => turn.text || '');
+}
+
+/**
+ * Names of the people in an episode, whose names aren't concepts
+ */
+function peopleWords(episode) {
+  const names = [episode.guest, ...(episode.guests || []).map(person => person.name), ...(episode.turns || []).map(turn => turn.speaker)];
+  return new Set(names.filter(Boolean).flatMap(name => name.split(/[\s+&/,]+/)).filter(word => /^[A-Z]/.test(word)));
+}
+
+/**
+ * Candidate concepts named in one episode:
+ * [{ key, variant, source, mentions, contexts }]
+ */
+function discoverEpisodeCandidates(episode, options = {}) {
+  const found = new Map();
+  const people = peopleWords(episode);
+  const add = (name, source, text, index) => {
+    const key = candidateKey(name);
+    if (!key || key.length < 3 || key.split(' ').length > 5) return;
+    const id = `${key}\0${source}`;
+    if (!found.has(id)) found.set(id, { key, variants: {}, source, mentions: 0, contexts: [] });
+    const entry = found.get(id);
+    entry.mentions++;
+    entry.variants[name] = (entry.variants[name] || 0) + 1;
+    if (entry.contexts.length < 2) {
+      const context = sentenceAt(text, index);
+      if (context.length > 30 && !entry.contexts.includes(context)) entry.contexts.push(context);
+    }
+  };
+
+  for (const text of minedTexts(episode, options)) {
+    for (const match of text.matchAll(HEAD_PHRASE)) {
+      const words = trimWords(match[1].split(/\s+/));
+      if (words.length === 0 || words.every(word => STOPWORDS.has(word.toLowerCase()) || GENERIC.has(word.toLowerCase()))) continue;
+      if (words.some(word => people.has(word))) continue;
+      add(titleCase(`${words.join(' ')} ${match[2].toLowerCase()}`), 'phrase', text, match.index);
+    }
+
+    for (const match of text.matchAll(CALLED_PHRASE)) {
+      const name = calledName(match[1]);
+      if (!name || name.split(' ').every(word => GENERIC.has(word.toLowerCase()))) continue;
+      add(titleCase(name), 'phrase', text, match.index);
+    }
+
+    for (const match of text.matchAll(CAPITALIZED_RUN)) {
+      let words = match[0].split(' ');
+      // A capital at the start of a sentence says nothing about the word
+      if (SENTENCE_END.test(text.slice(Math.max(0, match.index - 3), match.index))) words = words.slice(1);
+      while (words.length && (NOT_NAMES.has(words[0]) || MINOR_WORDS.has(words[0]))) words = words.slice(1);
+      if (words.length < 2 || words.some(word => NOT_NAMES.has(word) || people.has(word))) continue;
+      add(words.join(' '), 'capitalized', text, match.index);
+    }
+  }
+
+  return [...found.values()].map(({ variants, ...entry }) => ({
+    ...entry,
+    variant: Object.entries(variants).sort((a, b) => b[1] - a[1])[0][0],
+  }));
+}
+
+/**
+ * Merge per-episode candidates into the ranked review queue, leaving out
+ * what the registry already covers or has rejected
+ */
+function rankCandidates(perEpisode, { registry = [], rejected = [], minGuests = 1, minMentions = 2 } = {}) {
+  const matchers = registry.flatMap(framework => frameworkMatchers(framework)).map(pattern => new RegExp(pattern.source, 'i'));
+  const known = new Set(registry.flatMap(f => [f.name, ...f.aliases]).concat(rejected).map(candidateKey));
+  const byKey = new Map();
+
+  for (const { episode, candidates } of perEpisode) {
+    for (const candidate of candidates) {
+      if (!byKey.has(candidate.key)) {
+        byKey.set(candidate.key, { key: candidate.key, variants: new Map(), sources: new Set(), mentions: 0, guests: new Map(), episodes: new Map(), samples: [] });
+      }
+      const merged = byKey.get(candidate.key);
+      merged.variants.set(candidate.variant, (merged.variants.get(candidate.variant) || 0) + candidate.mentions);
+      merged.sources.add(candidate.source);
+      merged.mentions += candidate.mentions;
+      merged.episodes.set(episode.id, episode.guest);
+      const people = (episode.guests || []).length ? episode.guests : [{ id: episode.guest, name: episode.guest }];
+      people.forEach(person => merged.guests.set(person.id, person.name));
+      for (const text of candidate.contexts) {
+        merged.samples.push({ episode_id: episode.id, guest: episode.guest, text });
+      }
+    }
+  }
+
+  const heads = CONCEPT_HEADS.split('|');
+  const queue = [];
+  for (const merged of byKey.values()) {
+    const variants = [...merged.variants.entries()].sort((a, b) => b[1] - a[1]).map(([variant]) => variant);
+    if (known.has(merged.key) || variants.some(variant => matchers.some(pattern => pattern.test(variant)))) continue;
+    // "Three Buckets" is already in the queue as "Three Buckets Framework"
+    if (!merged.sources.has('phrase') && heads.some(head => byKey.has(`${merged.key} ${head}`))) continue;
+    // A capitalized run has to recur; a phrase that names a concept counts once
+    if (!merged.sources.has('phrase') && merged.mentions < minMentions) continue;
+    if (merged.guests.size < minGuests) continue;
+
+    // Samples from as many different guests as possible
+    const samples = [];
+    const seen = new Set();
+    for (const sample of merged.samples) {
+      if (samples.length < 3 && !seen.has(sample.guest)) {
+        samples.push(sample);
+        seen.add(sample.guest);
+      }
+    }
+    for (const sample of merged.samples) {
+      if (samples.length < 3 && !samples.includes(sample)) samples.push(sample);
+    }
+
+    queue.push({
+      id: merged.key.replace(/ /g, '-'),
+      name: variants.find(variant => /[A-Z]/.test(variant)) || titleCase(variants[0]),
+      variants,
+      sources: [...merged.sources].sort(),
+      guest_count: merged.guests.size,
+      guests: [...merged.guests.values()],
+      episode_count: merged.episodes.size,
+      mentions: merged.mentions,
+      episodes: [...merged.episodes.keys()],
+      samples,
+    });
+  }
+
+  return queue.sort((a, b) => b.guest_count - a.guest_count
+    || b.sources.includes('phrase') - a.sources.includes('phrase')
+    || b.mentions - a.mentions
+    || a.name.localeCompare(b.name));
+}
+
+/**
+ * Build the review queue of framework candidates.
+ *
+ * Options:
+ *   dataDir          where episodes.json is read and the queue is written (default data/)
+ *   episodes         episodes to scan instead of reading episodes.json
+ *   registryFile     frameworks that are already known (default config/frameworks.json)
+ *   minGuests        leave out candidates fewer guests use (default 1)
+ *   includeSponsors  keep sponsor reads tagged at ingest
+ *   full             ignore cached per-episode results
+ *   cache            read and update the stage cache in <cacheDir>/stages/ (default true)
+ *   cacheDir         where caches are kept (default .cache/, or .cache/ inside a custom dataDir)
+ *   write            write framework-candidates.json (default true)
+ *   log              progress callback, e.g. console.log
+ *   warn             callback for an unreadable stage cache (default: log)
+ *
+ * Returns { candidates, cache: { hits, misses } }. Throws a DataContractError,
+ * before writing anything, if the queue breaks the contract.
+ */
+function discoverFrameworks(options = {}) {
+  const {
+    dataDir = DEFAULT_DATA_DIR,
+    registryFile = DEFAULT_FRAMEWORKS_FILE,
+    minGuests = 1,
+    includeSponsors = false,
+    full = false,
+    cache: useCache = true,
+    cacheDir = defaultCacheDir(dataDir),
+    write = true,
+    log = () => {},
+    warn = log,
+  } = options;
+  const episodes = options.episodes || readEpisodes(dataDir);
+  log(`📚 Mining ${episodes.length} episodes for named concepts...\n`);
+
+  const mineOptions = { includeSponsors: Boolean(includeSponsors) };
+  const fingerprint = fingerprintFiles([__filename, require.resolve('./sponsors')]) + (mineOptions.includeSponsors ? ':with-sponsors' : '');
+  const cache = createStageCache('discover', fingerprint, { cacheDir, disabled: full || !useCache, persist: useCache, warn });
+  const perEpisode = episodes.map(episode => ({
+    episode,
+    candidates: cache.resolve(episode, ep => discoverEpisodeCandidates(ep, mineOptions)),
+  }));
+  cache.save();
+  const { hits, misses } = cache.stats();
+  log(`♻️  ${misses} episodes mined, ${hits} reused from cache`);
+
+  const candidates = rankCandidates(perEpisode, {
+    registry: loadFrameworkRegistry(registryFile),
+    rejected: loadRejected(registryFile),
+    minGuests: Number(minGuests),
+  });
+
+  assertValid('framework-candidates', candidates);
+  if (write) {
+    fs.writeFileSync(path.join(dataDir, CANDIDATES_FILE), JSON.stringify(candidates, null, 2));
+  }
+
+  return { candidates, cache: { hits, misses } };
+}
+
+/**
+ * Find a candidate in the queue by ID, name or variant
+ */
+function findCandidate(candidates, name) {
+  const key = candidateKey(name);
+  return candidates.find(c => c.id === name || candidateKey(c.name) === key || c.variants.some(v => candidateKey(v) === key)) || null;
+}
+
+/**
+ * Add a candidate to the registry as a framework matched by its name and
+ * the variants it was found under.
+ *
+ * Options: name (instead of the candidate's), creator, description,
+ * stages, related, registryFile. Returns the new registry entry.
+ */
+function promoteCandidate(candidate, options = {}) {
+  const { registryFile = DEFAULT_FRAMEWORKS_FILE } = options;
+  const raw = readFrameworkRegistry(registryFile);
+  const name = options.name || candidate.name;
+  const labels = new Set([name.toLowerCase()]);
+  const aliases = candidate.variants.filter(variant => {
+    const fresh = !labels.has(variant.toLowerCase());
+    labels.add(variant.toLowerCase());
+    return fresh;
+  });
+
+  const framework = { name };
+  if (aliases.length > 0) framework.aliases = aliases;
+  for (const field of ['creator', 'description', 'stages', 'related']) {
+    if (options[field] !== undefined && options[field].length > 0) framework[field] = options[field];
+  }
+  raw.frameworks.push(framework);
+  raw.rejected = (raw.rejected || []).filter(rejected => candidateKey(rejected) !== candidateKey(candidate.name));
+  saveFrameworkRegistry(raw, registryFile);
+  return framework;
+}
+
+/**
+ * Keep a candidate out of the queue from now on
+ */
+function rejectCandidate(candidate, { registryFile = DEFAULT_FRAMEWORKS_FILE } = {}) {
+  const raw = readFrameworkRegistry(registryFile);
+  const rejected = raw.rejected || [];
+  if (!rejected.some(name => candidateKey(name) === candidateKey(candidate.name))) rejected.push(candidate.name);
+  raw.rejected = rejected;
+  saveFrameworkRegistry(raw, registryFile);
+}
+
+module.exports = {
+  CANDIDATES_FILE,
+  candidateKey,
+  discoverEpisodeCandidates,
+  rankCandidates,
+  discoverFrameworks,
+  findCandidate,
+  promoteCandidate,
+  rejectCandidate,
+};
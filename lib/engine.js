@@ -0,0 +1,281 @@
+/**
+ * PM Wisdom Engine - Query Engine
+ *
+ * The ranking behind Search and the Decision Simulator, shared by the app
+ * and the command line so both give the same answers for the same data.
+ * createEngine() takes the bundle data (episodes, segments, frameworks,
+ * insights, plus search_index, semantic_index and vocabulary when built)
+ * and answers search() and advise() queries against it.
+ *
+ * Runs in Node and in the browser (window.PMEngine), like lib/search.js.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./search'), require('./semantic'), require('./vocabulary'));
+  } else {
+    root.PMEngine = factory(root.PMSearch, root.PMSemantic, root.PMVocabulary);
+  }
+})(this, function (search, semantic, vocabularyLib) {
+  const DEFAULT_SHOW = "Lenny's Podcast";
+
+  // Career stages: keywords that make a segment relevant to someone at that stage
+  const CAREER_STAGES = {
+    early: { name: 'Early PM', icon: '🌱', keywords: ['beginner', 'first pm', 'new pm', 'learning', 'basics'] },
+    mid: { name: 'Mid PM', icon: '🌿', keywords: ['senior', 'lead', 'growth', 'influence', 'stakeholder'] },
+    senior: { name: 'Senior PM', icon: '🌳', keywords: ['principal', 'staff', 'vision', 'org', 'executive'] },
+    leader: { name: 'PM Leader', icon: '👔', keywords: ['director', 'vp', 'head of', 'managing', 'hiring', 'team building'] },
+    founder: { name: 'Founder', icon: '🚀', keywords: ['founder', 'ceo', 'startup', 'fundraising', 'investor', 'pivot'] },
+  };
+
+  // Company stages for the Decision Simulator
+  const COMPANY_STAGES = {
+    'pre-seed': { name: 'Pre-seed / Idea stage', keywords: ['idea', 'prototype', 'pre-seed', 'co-founder', 'validate'] },
+    seed: { name: 'Seed / Pre-PMF', keywords: ['seed', 'early customers', 'product-market fit', 'pmf', 'iterate'] },
+    'series-a': { name: 'Series A / Early growth', keywords: ['series a', 'first hires', 'repeatable', 'early growth', 'go-to-market'] },
+    'series-b': { name: 'Series B+ / Scaling', keywords: ['series b', 'scaling', 'scale', 'process', 'second product'] },
+    growth: { name: 'Growth stage', keywords: ['growth', 'expansion', 'international', 'retention', 'monetization'] },
+    enterprise: { name: 'Enterprise / Large co', keywords: ['enterprise', 'large company', 'big company', 'bureaucracy', 'alignment'] },
+  };
+
+  const ADVICE_LIMIT = 8;
+
+  /**
+   * Whether a text (with its topics) fits a career stage. "all" and unknown stages fit everything.
+   */
+  function matchesStage(stage, text, topics = []) {
+    const config = CAREER_STAGES[stage];
+    if (!config) return true;
+    const haystack = `${text} ${topics.join(' ')}`.toLowerCase();
+    return config.keywords.some(keyword => haystack.includes(keyword));
+  }
+
+  /**
+   * Career stages a text fits
+   */
+  function stagesOf(text, topics = []) {
+    return Object.keys(CAREER_STAGES).filter(stage => matchesStage(stage, text, topics));
+  }
+
+  /**
+   * Companies of an episode's guests
+   */
+  function companiesOf(episode) {
+    return ((episode && episode.guests) || []).map(person => person.company).filter(Boolean);
+  }
+
+  /**
+   * Whether an episode passes the date range and company filters ({ from, to, company })
+   */
+  function matchesMeta(episode, { from, to, company } = {}) {
+    if (!from && !to && !company) return true;
+    if (!episode) return false;
+    const date = episode.published_at || '';
+    if (from && (!date || date < from)) return false;
+    if (to && (!date || date > to)) return false;
+    return !company || companiesOf(episode).includes(company);
+  }
+
+  /**
+   * Comparator by date, newest ("new") or oldest ("old") first; undated last
+   */
+  function byDate(sort, get) {
+    return (a, b) => {
+      const x = get(a) || '';
+      const y = get(b) || '';
+      if (!x || !y) return !x - !y;
+      return sort === 'new' ? y.localeCompare(x) : x.localeCompare(y);
+    };
+  }
+
+  function showOf(episode) {
+    return (episode && episode.channel) || DEFAULT_SHOW;
+  }
+
+  /**
+   * Build an engine over bundle data. Indexes missing from the data are
+   * built on first use: lunr from the records, semantic search not at all
+   * (hybrid and semantic queries then fall back to keywords).
+   */
+  function createEngine(data, { vocabulary } = {}) {
+    const compiled = vocabulary || vocabularyLib.compileVocabulary(data.vocabulary || {});
+    const episodes = new Map((data.episodes || []).map(episode => [episode.id, episode]));
+    const segments = new Map((data.segments || []).map(segment => [segment.id, segment]));
+    const frameworksByEpisode = new Map();
+    for (const framework of data.frameworks || []) {
+      for (const mention of framework.episodes || []) {
+        if (!frameworksByEpisode.has(mention.episode_id)) frameworksByEpisode.set(mention.episode_id, []);
+        frameworksByEpisode.get(mention.episode_id).push(framework.name);
+      }
+    }
+
+    let keywordIndex = null;
+    let semanticIndex = null;
+    const index = () => keywordIndex || (keywordIndex = data.search_index
+      ? search.loadIndex(data.search_index)
+      : search.buildIndex(data, { vocabulary: compiled }));
+    const vectors = () => semanticIndex || (semanticIndex = data.semantic_index && data.semantic_index.dimensions
+      ? semantic.loadSemanticIndex(data.semantic_index)
+      : null);
+
+    const episode = id => episodes.get(id);
+    const frameworksFor = id => frameworksByEpisode.get(id) || [];
+
+    /**
+     * The fields a query's filters look at, for a record from an episode
+     */
+    function queryRecord(episodeId, text, guest) {
+      const ep = episodes.get(episodeId) || {};
+      return { text, guest, topics: ep.topics || [], frameworks: frameworksFor(episodeId) };
+    }
+
+    /**
+     * Insight n with its episode's video, shaped like a segment
+     */
+    function insightRecord(n) {
+      const insight = (data.insights || [])[n];
+      if (!insight) return null;
+      const ep = episodes.get(insight.episode_id) || {};
+      return { ...insight, n: Number(n), insight: true, video_id: ep.video_id };
+    }
+
+    /**
+     * Semantic matches for a parsed query, as search hits
+     */
+    function semanticHits(parsed) {
+      const vectorIndex = vectors();
+      if (!vectorIndex) return [];
+      return semantic.semanticSearch(vectorIndex, search.queryTerms(parsed).join(' '), { vocabulary: compiled })
+        .map(hit => (data.segments || [])[hit.doc])
+        .filter(Boolean)
+        .map(segment => ({ ref: `s:${segment.id}`, type: 'segment', id: segment.id }));
+    }
+
+    /**
+     * Ranked hits for a parsed query in a mode: keyword, semantic or hybrid.
+     * A query of filters alone lists every record in corpus order.
+     */
+    function rank(parsed, mode = 'hybrid') {
+      if (search.queryTerms(parsed).length === 0) {
+        return (data.segments || []).map(s => ({ type: 'segment', id: s.id }))
+          .concat((data.insights || []).map((insight, n) => ({ type: 'insight', id: n })))
+          .concat((data.episodes || []).map(e => ({ type: 'episode', id: e.id })))
+          .concat((data.frameworks || []).map(f => ({ type: 'framework', id: f.name })));
+      }
+
+      const keyword = mode === 'semantic' ? [] : search.searchIndex(index(), parsed, { vocabulary: compiled });
+      const meaning = mode === 'keyword' ? [] : semanticHits(parsed);
+      if (meaning.length === 0) return mode === 'semantic' ? [] : keyword;
+      if (mode === 'semantic') {
+        return meaning.concat(search.searchIndex(index(), parsed, { types: ['episode', 'framework'], vocabulary: compiled }));
+      }
+      return semantic.fuseRankings(keyword.map(hit => hit.ref), meaning.map(hit => hit.ref)).map(search.parseRef);
+    }
+
+    /**
+     * Search segments and insights. Returns { results, episodes, frameworks }:
+     * every matching segment or insight, best first, plus the episodes and
+     * frameworks that match the query themselves. Options: mode, show,
+     * stage, from, to, company, sort ("new" or "old") and includeSponsors.
+     */
+    function searchCorpus(query, options = {}) {
+      const { mode = 'hybrid', show = 'all', stage = 'all', sort, includeSponsors = false } = options;
+      const parsed = typeof query === 'string' ? search.parseQuery(query) : query;
+      const hits = rank(parsed, mode);
+      const keep = id => (!show || show === 'all' || showOf(episodes.get(id)) === show) && matchesMeta(episodes.get(id), options);
+      const ok = record => search.matchQuery(parsed, record, { terms: false });
+
+      let results = hits
+        .map(hit => (hit.type === 'segment' ? segments.get(hit.id) : hit.type === 'insight' ? insightRecord(hit.id) : null))
+        .filter(r => r && r.text && (includeSponsors || !r.sponsor) && keep(r.episode_id) && ok(queryRecord(r.episode_id, r.text, r.guest)));
+      if (stage && stage !== 'all') results = results.filter(r => matchesStage(stage, r.text, r.topics || []));
+      if (sort) results.sort(byDate(sort, r => (episodes.get(r.episode_id) || {}).published_at));
+
+      const matchingEpisodes = hits
+        .filter(hit => hit.type === 'episode' && episodes.has(hit.id) && keep(hit.id))
+        .map(hit => episodes.get(hit.id))
+        .filter(ep => ok(queryRecord(ep.id, `${ep.title} ${ep.description || ''}`, ep.guest)));
+      const matchingFrameworks = hits
+        .filter(hit => hit.type === 'framework')
+        .map(hit => (data.frameworks || []).find(f => f.name === hit.id))
+        .filter(f => f && ok({ text: `${f.name} ${f.description || ''}`, guest: f.creator, frameworks: [f.name] }));
+
+      return { results, episodes: matchingEpisodes, frameworks: matchingFrameworks };
+    }
+
+    /**
+     * Decision Simulator: segments that speak to a situation, best first.
+     * Segments score for the vocabulary topics the situation raises, its
+     * longer words, and the career and company stage keywords. Options:
+     * stage, company, show, includeSponsors and limit.
+     */
+    function advise(situation, { stage, company, show = 'all', includeSponsors = false, limit = ADVICE_LIMIT } = {}) {
+      const words = situation.toLowerCase().split(/\s+/).filter(w => w.length > 3);
+      const matched = vocabularyLib.findTopics(compiled, situation).map(t => t.topic);
+      const topicsOnly = { synonyms: [], topics: compiled.topics.filter(t => matched.includes(t.name)) };
+      const stageKeywords = (CAREER_STAGES[stage] || {}).keywords || [];
+      const companyKeywords = (COMPANY_STAGES[company] || {}).keywords || [];
+
+      const scored = [];
+      for (const segment of data.segments || []) {
+        if (!segment.text || (segment.sponsor && !includeSponsors)) continue;
+        if (show && show !== 'all' && showOf(episodes.get(segment.episode_id)) !== show) continue;
+        const text = segment.text.toLowerCase();
+        let score = 0;
+        const keywords = [];
+        if (matched.length > 0) {
+          for (const found of vocabularyLib.findTopics(topicsOnly, segment.text)) {
+            score += 3 * found.keywords.length;
+            keywords.push(...found.keywords);
+          }
+        }
+        for (const word of words) if (text.includes(word)) score += 1;
+        for (const keyword of stageKeywords) if (text.includes(keyword)) score += 2;
+        for (const keyword of companyKeywords) if (text.includes(keyword)) score += 1;
+        if (score > 3) scored.push({ segment, score, keywords });
+      }
+      scored.sort((a, b) => b.score - a.score);
+
+      return scored.slice(0, limit).map(({ segment, score, keywords }) => {
+        const ep = episodes.get(segment.episode_id);
+        let why = 'Relevant experience';
+        if (keywords.length > 0) why = `Addresses ${keywords.slice(0, 2).join(' and ')}`;
+        else if (matched.length > 0) why = `Provides perspective on ${matched[0]}`;
+        return {
+          guest: segment.guest || (ep && ep.guest) || 'Guest',
+          episode_id: segment.episode_id,
+          segment_id: segment.id,
+          video_id: segment.video_id || (ep && ep.video_id),
+          time: segment.estimated_time,
+          quote: segment.text,
+          context: ep ? `${ep.guest} discussed ${(ep.topics || []).slice(0, 2).join(' and ')}` : 'From a relevant episode',
+          why,
+          relevance: score > 10 ? 'high' : 'med',
+          score,
+        };
+      });
+    }
+
+    return {
+      data,
+      vocabulary: compiled,
+      episode,
+      frameworksFor,
+      queryRecord,
+      rank,
+      search: searchCorpus,
+      advise,
+    };
+  }
+
+  return {
+    CAREER_STAGES,
+    COMPANY_STAGES,
+    matchesStage,
+    stagesOf,
+    companiesOf,
+    matchesMeta,
+    byDate,
+    createEngine,
+  };
+});
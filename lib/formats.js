@@ -0,0 +1,271 @@
+/**
+ * PM Wisdom Engine - Transcript Formats
+ *
+ * Adapters that turn each supported file format into the same shape:
+ * { format, meta, transcript }. Caption formats (SRT, WebVTT, YouTube
+ * caption JSON) are rendered into the markdown transcript layout,
+ *
+ *   Speaker Name (00:07:50):
+ *   What they said...
+ *
+ * so turns, sponsor detection and every extractor work the same way on them.
+ * They also give `end`, the second the last caption ends, since the
+ * rendered timestamps only say when each turn starts.
+ */
+
+const path = require('path');
+const matter = require('gray-matter');
+const { HOST_NAMES, isHost } = require('./turns');
+
+const TIME_PATTERN = /(?:(\d+):)?(\d{1,2}):(\d{2})(?:[,.](\d{1,3}))?/;
+const CUE_TIMING = new RegExp(`^\\s*(${TIME_PATTERN.source})\\s*-->\\s*(${TIME_PATTERN.source})`);
+const NAME_PREFIX = /^([A-Z][\w.'-]*(?: [A-Z][\w.'-]*){0,3}):\s+(.*)$/;
+
+const MAX_UNLABELED_WORDS = 120; // Unlabeled captions are grouped into blocks this long
+const MAX_UNLABELED_GAP = 2;     // ...or split where the audio pauses (seconds)
+
+/**
+ * Parse "HH:MM:SS,mmm", "MM:SS.mmm" or "MM:SS" into seconds
+ */
+function parseCueTime(value) {
+  const match = value.match(TIME_PATTERN);
+  if (!match) return null;
+  const [, hours, minutes, seconds, millis] = match;
+  return (parseInt(hours || '0') * 3600) + (parseInt(minutes) * 60) + parseInt(seconds) +
+    (millis ? parseInt(millis.padEnd(3, '0')) / 1000 : 0);
+}
+
+/**
+ * Format seconds as HH:MM:SS
+ */
+function formatTimestamp(seconds) {
+  const total = Math.floor(seconds);
+  return [Math.floor(total / 3600), Math.floor(total / 60) % 60, total % 60]
+    .map(n => String(n).padStart(2, '0'))
+    .join(':');
+}
+
+/**
+ * Group caption cues into speaker turns and render them as a transcript.
+ * Cues are { start, text, speaker? }. Speakers come from the cue itself
+ * (WebVTT voice tags) or from a `Name: ` prefix that heads at least two
+ * cues, or only one when it names a speaker already known from the others
+ * or one of the show's `hostNames`. A `>>` marker starts a new turn with
+ * an unnamed speaker.
+ */
+function renderCues(cues, { hostNames = HOST_NAMES } = {}) {
+  const prefixCounts = {};
+  for (const cue of cues) {
+    const match = cue.text.match(NAME_PREFIX);
+    if (match) prefixCounts[match[1]] = (prefixCounts[match[1]] || 0) + 1;
+  }
+  const speakers = new Set(cues.map(cue => cue.speaker).filter(Boolean));
+  Object.keys(prefixCounts).filter(name => prefixCounts[name] >= 2).forEach(name => speakers.add(name));
+  const isSpeaker = name => speakers.has(name) || isHost(name, hostNames);
+
+  const turns = [];
+  let current = null;
+  let lastText = null;
+
+  for (const cue of cues) {
+    let text = cue.text.replace(/\s+/g, ' ').trim();
+    let speaker = cue.speaker || null;
+    let speakerChange = Boolean(speaker);
+    let forceBreak = false;
+
+    if (text.startsWith('>>')) {
+      text = text.replace(/^>>\s*/, '');
+      speakerChange = true;
+      forceBreak = true;
+    }
+    const prefix = text.match(NAME_PREFIX);
+    if (prefix && isSpeaker(prefix[1])) {
+      speaker = prefix[1];
+      text = prefix[2];
+      speakerChange = true;
+    }
+
+    // Auto-generated captions repeat the previous line as they scroll
+    if (!text || text === lastText) continue;
+    lastText = text;
+
+    const sameSpeaker = current && !forceBreak && (!speakerChange || speaker === current.speaker);
+    const unlabeledBreak = current && !current.speaker && !speakerChange && (
+      current.words >= MAX_UNLABELED_WORDS || cue.start - current.end > MAX_UNLABELED_GAP
+    );
+
+    if (!sameSpeaker || unlabeledBreak) {
+      current = { speaker: speakerChange ? speaker : (current && current.speaker), start: cue.start, end: cue.start, parts: [], words: 0 };
+      turns.push(current);
+    }
+    current.parts.push(text);
+    current.words += text.split(/\s+/).length;
+    current.end = cue.end != null ? cue.end : cue.start;
+  }
+
+  return turns
+    .map(turn => `${turn.speaker ? `${turn.speaker} ` : ''}(${formatTimestamp(turn.start)}):\n${turn.parts.join(' ')}`)
+    .join('\n\n');
+}
+
+/**
+ * Second the last cue ends, or null without cues
+ */
+function cuesEnd(cues) {
+  if (cues.length === 0) return null;
+  return Math.max(...cues.map(cue => (cue.end != null && !Number.isNaN(cue.end) ? cue.end : cue.start)));
+}
+
+/**
+ * Split SRT/WebVTT content into blank-line separated blocks
+ */
+function cueBlocks(content) {
+  return content.replace(/\r\n?/g, '\n').split(/\n\s*\n/).map(block => block.trim()).filter(Boolean);
+}
+
+/**
+ * Read timing and text lines out of one SRT/WebVTT block
+ */
+function parseCueBlock(block) {
+  const lines = block.split('\n');
+  const timingIndex = lines.findIndex(line => CUE_TIMING.test(line));
+  if (timingIndex === -1) return null;
+
+  const [, startText, , , , , endText] = lines[timingIndex].match(CUE_TIMING);
+  return {
+    start: parseCueTime(startText),
+    end: parseCueTime(endText),
+    lines: lines.slice(timingIndex + 1),
+  };
+}
+
+const markdown = {
+  format: 'markdown',
+  extensions: ['.md'],
+  parse(content) {
+    const { data: meta, content: transcript } = matter(content);
+    return { meta, transcript: transcript.trim() };
+  },
+};
+
+const srt = {
+  format: 'srt',
+  extensions: ['.srt'],
+  parse(content, options) {
+    const cues = cueBlocks(content)
+      .map(parseCueBlock)
+      .filter(Boolean)
+      .map(cue => ({ start: cue.start, end: cue.end, text: cue.lines.join(' ').replace(/<[^>]+>/g, '') }));
+    return { meta: {}, transcript: renderCues(cues, options), end: cuesEnd(cues) };
+  },
+};
+
+const vtt = {
+  format: 'vtt',
+  extensions: ['.vtt'],
+  parse(content, options) {
+    const cues = [];
+    for (const block of cueBlocks(content.replace(/^\uFEFF/, ''))) {
+      if (/^(WEBVTT|NOTE|STYLE|REGION)\b/.test(block)) continue;
+      const cue = parseCueBlock(block);
+      if (!cue) continue;
+
+      // <v Name> voice spans name the speaker; other tags are styling or word timings
+      const raw = cue.lines.join(' ');
+      const voice = raw.match(/<v(?:\.[\w.-]+)?\s+([^>]+)>/);
+      cues.push({
+        start: cue.start,
+        end: cue.end,
+        speaker: voice ? voice[1].trim() : null,
+        text: raw.replace(/<[^>]+>/g, '').replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&nbsp;/g, ' '),
+      });
+    }
+    return { meta: {}, transcript: renderCues(cues, options), end: cuesEnd(cues) };
+  },
+};
+
+/**
+ * Pull cues out of the caption JSON shapes YouTube tooling produces:
+ * json3 ({ events: [{ tStartMs, dDurationMs, segs: [{ utf8 }] }] }) and
+ * transcript lists ([{ text, start, duration }]). Either may be wrapped in
+ * an object carrying metadata ({ video_id, title, ..., captions: [...] }).
+ */
+function youtubeCues(json) {
+  if (Array.isArray(json)) {
+    if (!json.every(item => item && typeof item.text === 'string' && item.start != null)) return null;
+    return json.map(item => ({
+      start: Number(item.start),
+      end: Number(item.start) + Number(item.duration || 0),
+      text: item.text,
+    }));
+  }
+  if (json && Array.isArray(json.events)) {
+    return json.events
+      .filter(event => Array.isArray(event.segs))
+      .map(event => ({
+        start: (event.tStartMs || 0) / 1000,
+        end: ((event.tStartMs || 0) + (event.dDurationMs || 0)) / 1000,
+        text: event.segs.map(seg => seg.utf8 || '').join(''),
+      }));
+  }
+  const inner = json && (json.captions || json.transcript);
+  return inner && typeof inner === 'object' ? youtubeCues(inner) : null;
+}
+
+const youtubeJson = {
+  format: 'youtube-json',
+  extensions: ['.json'],
+  detect(content) {
+    try {
+      return youtubeCues(JSON.parse(content)) !== null;
+    } catch (error) {
+      return false;
+    }
+  },
+  parse(content, options) {
+    const json = JSON.parse(content);
+    const cues = youtubeCues(json) || [];
+    const meta = Array.isArray(json) ? {} : { ...json };
+    delete meta.captions;
+    delete meta.transcript;
+    delete meta.events;
+    if (meta.videoId && !meta.video_id) meta.video_id = meta.videoId;
+    return { meta, transcript: renderCues(cues, options), end: cuesEnd(cues) };
+  },
+};
+
+const ADAPTERS = [markdown, srt, vtt, youtubeJson];
+const EXTENSIONS = [...new Set(ADAPTERS.flatMap(adapter => adapter.extensions))];
+const CAPTION_EXTENSIONS = EXTENSIONS.filter(ext => ext !== '.md');
+
+/**
+ * Find the adapter for a file, or null if the format is not supported
+ */
+function adapterFor(filePath, content) {
+  const ext = path.extname(filePath).toLowerCase();
+  return ADAPTERS.find(adapter =>
+    adapter.extensions.includes(ext) && (!adapter.detect || content === undefined || adapter.detect(content))
+  ) || null;
+}
+
+/**
+ * Parse a transcript file's content with the adapter for its format.
+ * `hostNames` are the show's hosts, for naming caption speakers (see renderCues).
+ */
+function parseFormat(filePath, content, { hostNames = HOST_NAMES } = {}) {
+  const adapter = adapterFor(filePath, content);
+  if (!adapter) {
+    throw new Error(`Unsupported transcript format: ${path.basename(filePath)}`);
+  }
+  return { format: adapter.format, ...adapter.parse(content, { hostNames }) };
+}
+
+module.exports = {
+  EXTENSIONS,
+  CAPTION_EXTENSIONS,
+  parseCueTime,
+  formatTimestamp,
+  renderCues,
+  adapterFor,
+  parseFormat,
+};
@@ -0,0 +1,235 @@
+/**
+ * PM Wisdom Engine - Framework Graph
+ *
+ * How the frameworks relate, as weighted edges between pairs of them,
+ * written to data/framework-graph.json. An edge is backed by:
+ *
+ *   - episodes where guests mention both (confident mentions, see frameworks.js)
+ *   - segments where both come up
+ *   - guests who mention both, in the same episode or not
+ *   - sentences that compare them ("RICE is like ICE but...", "OKRs instead of a north star")
+ *   - the registry's `related` lists (see framework-registry.js)
+ *
+ * An edge is "competing" when a guest weighs one against the other and
+ * "related" otherwise. Each edge keeps the episodes that connect the
+ * pair, comparisons first.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { assertValid } = require('./validate');
+const { DEFAULT_FRAMEWORKS_FILE, loadFrameworkRegistry } = require('./framework-registry');
+const { compileRegistry, findMentions } = require('./frameworks');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '../data');
+const GRAPH_FILE = 'framework-graph.json';
+
+// Weighing one against the other
+const COMPETING_CUES = /\b(?:vs|versus|instead of|rather than|better than|worse than|unlike|compared (?:to|with)|alternative to|prefer\w*\b.{0,40}\bover|replaced?\b.{0,40}\bwith|like\b.{0,60}\bbut)\b/i;
+// Putting them side by side
+const SIMILAR_CUES = /\b(?:(?:is|are|was) (?:like|similar to|a version of|based on)|same as|together with|combined? with|pairs? (?:well )?with|alongside|on top of|complements?|feeds? into)\b/i;
+
+// How much each kind of evidence adds to an edge's weight
+const WEIGHTS = { episodes: 1, segments: 2, comparisons: 3, shared_guests: 0.5, curated: 2 };
+// Pairs only ever mentioned in the same episodes need this many to count
+const MIN_CO_EPISODES = 2;
+const MAX_CONNECTIONS = 5;
+
+/**
+ * Read a data file another stage writes
+ */
+function readData(dataDir, file, stage) {
+  const filePath = path.join(dataDir, `${file}.json`);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`${file}.json not found. Run npm run ${stage} first.`);
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+/**
+ * Pairs of frameworks mentioned in one segment, with the sentence that
+ * compares them, if one does. registry is compiled (see compileRegistry).
+ */
+function segmentLinks(segment, registry) {
+  const sentences = segment.text.replace(/\bvs\./gi, 'vs').split(/[.!?]+/);
+  const comparing = sentences
+    .map((sentence, i) => (COMPETING_CUES.test(sentence) || SIMILAR_CUES.test(sentence) ? i : -1))
+    .filter(i => i >= 0);
+  const found = [];
+  for (const framework of registry) {
+    const mentioned = new Set(findMentions(framework, sentences).filter(m => m.kind !== 'false_positive').map(m => m.i));
+    // Comparisons name frameworks in passing ("RICE is like ICE but..."), too briefly for findMentions
+    for (const i of comparing) {
+      if (framework.named.test(sentences[i]) || (framework.acronyms && framework.acronyms.test(sentences[i]))) mentioned.add(i);
+    }
+    if (mentioned.size > 0) found.push({ name: framework.name, sentences: mentioned });
+  }
+
+  const links = [];
+  found.forEach((a, i) => found.slice(i + 1).forEach(b => {
+    const compared = [...a.sentences]
+      .filter(n => b.sentences.has(n))
+      .map(n => sentences[n].trim())
+      .find(sentence => COMPETING_CUES.test(sentence) || SIMILAR_CUES.test(sentence));
+    links.push({
+      names: [a.name, b.name],
+      comparison: compared ? { text: compared, competing: COMPETING_CUES.test(compared) } : null,
+    });
+  }));
+  return links;
+}
+
+/**
+ * Weighted edges between frameworks, heaviest first.
+ * frameworks are the records in frameworks.json, segments those in
+ * segments.json and registry the entries from loadFrameworkRegistry().
+ */
+function graphEdges(frameworks, segments, registry, options = {}) {
+  const known = new Set(frameworks.map(f => f.name));
+  const edges = new Map();
+  const edgeFor = (a, b) => {
+    const [source, target] = a < b ? [a, b] : [b, a];
+    const key = `${source}\0${target}`;
+    if (!edges.has(key)) {
+      edges.set(key, { source, target, curated: false, episodes: new Map(), segments: 0, comparisons: [], moments: new Map() });
+    }
+    return edges.get(key);
+  };
+
+  // Episodes that mention both
+  const byEpisode = new Map();
+  for (const framework of frameworks) {
+    for (const e of framework.episodes) {
+      if (!byEpisode.has(e.episode_id)) byEpisode.set(e.episode_id, []);
+      byEpisode.get(e.episode_id).push({ name: framework.name, guest: e.guest, depth: e.depth || 0 });
+    }
+  }
+  for (const [episodeId, found] of byEpisode) {
+    found.forEach((a, i) => found.slice(i + 1).forEach(b => {
+      edgeFor(a.name, b.name).episodes.set(episodeId, { guest: a.guest, depth: a.depth + b.depth });
+    }));
+  }
+
+  // Segments that mention both, and sentences that compare them. Every
+  // segment is scanned for the whole registry: a comparison can name a
+  // framework the episode's confident mentions missed ("RICE is like ICE").
+  const compiled = compileRegistry(registry);
+  for (const segment of segments) {
+    if (!options.includeSponsors && segment.sponsor) continue;
+    const inEpisode = new Set((byEpisode.get(segment.episode_id) || []).map(f => f.name));
+    for (const { names, comparison } of segmentLinks(segment, compiled)) {
+      // Both must be frameworks in the graph, and found in the episode unless compared
+      if (!names.every(name => known.has(name)) || (!comparison && !names.every(name => inEpisode.has(name)))) continue;
+      const edge = edgeFor(...names);
+      const moment = { episode_id: segment.episode_id, guest: segment.guest, estimated_time: segment.estimated_time };
+      edge.segments++;
+      // Segments overlap, so the same sentence can turn up twice
+      if (comparison && !edge.comparisons.some(c => c.episode_id === moment.episode_id && c.text === comparison.text)) {
+        edge.comparisons.push({ ...moment, ...comparison });
+      }
+      if (!edge.moments.has(segment.episode_id)) edge.moments.set(segment.episode_id, moment);
+    }
+  }
+
+  // Pairs the registry relates, when guests mention both
+  for (const framework of registry) {
+    for (const other of framework.related) {
+      if (known.has(framework.name) && known.has(other)) edgeFor(framework.name, other).curated = true;
+    }
+  }
+
+  // Guests who mention both, in any episodes
+  const guestsOf = new Map(frameworks.map(f => [f.name, new Set(f.episodes.flatMap(e => e.guest_ids || []))]));
+
+  return [...edges.values()]
+    .filter(edge => edge.curated || edge.comparisons.length > 0 || edge.segments > 0 || edge.episodes.size >= MIN_CO_EPISODES)
+    .map(edge => {
+      const targetGuests = guestsOf.get(edge.target);
+      const sharedGuests = [...guestsOf.get(edge.source)].filter(id => targetGuests.has(id)).length;
+      const weight = WEIGHTS.episodes * edge.episodes.size + WEIGHTS.segments * edge.segments +
+        WEIGHTS.comparisons * edge.comparisons.length + WEIGHTS.shared_guests * sharedGuests + (edge.curated ? WEIGHTS.curated : 0);
+
+      // One connection per episode: a comparison, else the deepest co-mentions
+      const connections = [];
+      const add = connection => {
+        if (connections.length < MAX_CONNECTIONS && !connections.some(c => c.episode_id === connection.episode_id)) connections.push(connection);
+      };
+      edge.comparisons.forEach(c => add({
+        episode_id: c.episode_id,
+        guest: c.guest,
+        estimated_time: c.estimated_time,
+        text: c.text,
+        comparison: c.competing ? 'competing' : 'similar',
+      }));
+      [...edge.episodes].sort((a, b) => b[1].depth - a[1].depth).forEach(([episodeId, e]) => add({
+        episode_id: episodeId,
+        guest: e.guest,
+        estimated_time: edge.moments.has(episodeId) ? edge.moments.get(episodeId).estimated_time : null,
+        text: null,
+        comparison: null,
+      }));
+
+      return {
+        source: edge.source,
+        target: edge.target,
+        kind: edge.comparisons.some(c => c.competing) ? 'competing' : 'related',
+        weight: Math.round(weight * 10) / 10,
+        curated: edge.curated,
+        episodes: edge.episodes.size,
+        segments: edge.segments,
+        shared_guests: sharedGuests,
+        comparisons: edge.comparisons.length,
+        connections,
+      };
+    })
+    .sort((a, b) => b.weight - a.weight || a.source.localeCompare(b.source) || a.target.localeCompare(b.target));
+}
+
+/**
+ * Build the framework graph from extracted frameworks and segments.
+ *
+ * Options:
+ *   dataDir          where frameworks.json and segments.json are read and the graph is written (default data/)
+ *   frameworks       framework records to connect instead of reading frameworks.json
+ *   segments         segments to scan instead of reading segments.json
+ *   includeSponsors  scan sponsor reads tagged at ingest
+ *   registryFile     framework registry for matching and `related` (default config/frameworks.json)
+ *   write            write framework-graph.json (default true)
+ *   log              progress callback, e.g. console.log
+ *
+ * Returns { edges }. Throws a DataContractError, before writing anything,
+ * if the output breaks the contract.
+ */
+function buildFrameworkGraph(options = {}) {
+  const {
+    dataDir = DEFAULT_DATA_DIR,
+    registryFile = DEFAULT_FRAMEWORKS_FILE,
+    includeSponsors = false,
+    write = true,
+    log = () => {},
+  } = options;
+  const frameworks = options.frameworks || readData(dataDir, 'frameworks', 'extract');
+  const segments = options.segments || readData(dataDir, 'segments', 'ingest');
+  log(`🕸️  Connecting ${frameworks.length} frameworks across ${segments.length} segments...\n`);
+
+  const edges = graphEdges(frameworks, segments, loadFrameworkRegistry(registryFile), { includeSponsors: Boolean(includeSponsors) });
+  const competing = edges.filter(edge => edge.kind === 'competing').length;
+  log(`🔗 ${edges.length} connections, ${competing} between competing frameworks`);
+  edges.slice(0, 5).forEach(edge => log(`   ${edge.source} ${edge.kind === 'competing' ? 'vs' : '↔'} ${edge.target} (weight ${edge.weight})`));
+
+  // Check the output against the data contract before anything is written
+  assertValid('framework-graph', edges);
+
+  if (write) {
+    fs.writeFileSync(path.join(dataDir, GRAPH_FILE), JSON.stringify(edges, null, 2));
+  }
+
+  return { edges };
+}
+
+module.exports = {
+  GRAPH_FILE,
+  segmentLinks,
+  graphEdges,
+  buildFrameworkGraph,
+};
@@ -0,0 +1,154 @@
+/**
+ * PM Wisdom Engine - Framework Registry
+ *
+ * The frameworks the extractor looks for, and what the app shows about
+ * them, kept in config/frameworks.json:
+ *
+ *   {
+ *     "frameworks": [{
+ *       "name": "JTBD",
+ *       "aliases": ["Jobs To Be Done"],
+ *       "patterns": ["jobs?.to.be.done|jtbd"],
+ *       "creator": "Clayton Christensen",
+ *       "description": "Customers hire products for jobs, not features",
+ *       "stages": ["early", "mid", "senior"],
+ *       "related": ["Continuous Discovery"]
+ *     }]
+ *   }
+ *
+ * `patterns` are regular expressions, matched case-insensitively. Without
+ * them the name and aliases are matched as whole words, the way the
+ * vocabulary matches its entries. `stages` are career stages from
+ * engine.js and `related` names other frameworks in the registry.
+ *
+ * A top-level "rejected" list holds names that framework discovery (see
+ * discovery.js) should stop suggesting.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { entrySource } = require('./vocabulary');
+const { CAREER_STAGES } = require('./engine');
+
+const DEFAULT_FRAMEWORKS_FILE = path.join(__dirname, '../config/frameworks.json');
+
+const isText = value => typeof value === 'string' && value.trim() !== '';
+const isTextList = list => Array.isArray(list) && list.every(isText);
+
+/**
+ * Check a parsed registry's shape, naming the first problem found
+ */
+function checkFrameworkRegistry(raw, name = 'frameworks') {
+  if (!raw || !Array.isArray(raw.frameworks)) throw new Error(`${name}: needs a "frameworks" list`);
+  if (raw.rejected !== undefined && !isTextList(raw.rejected)) throw new Error(`${name}: "rejected" must be a list of strings`);
+
+  const names = new Map();
+  raw.frameworks.forEach((framework, i) => {
+    const where = `${name}: frameworks[${i}]`;
+    if (!framework || !isText(framework.name)) throw new Error(`${where} needs a "name"`);
+    for (const field of ['aliases', 'patterns', 'stages', 'related']) {
+      if (framework[field] !== undefined && !isTextList(framework[field])) {
+        throw new Error(`${where} (${framework.name}): "${field}" must be a list of strings`);
+      }
+    }
+    for (const field of ['creator', 'description']) {
+      if (framework[field] !== undefined && typeof framework[field] !== 'string') {
+        throw new Error(`${where} (${framework.name}): "${field}" must be a string`);
+      }
+    }
+    for (const pattern of framework.patterns || []) {
+      try {
+        new RegExp(pattern, 'gi');
+      } catch (error) {
+        throw new Error(`${where} (${framework.name}): bad pattern "${pattern}": ${error.message}`);
+      }
+    }
+    const unknownStage = (framework.stages || []).find(stage => !CAREER_STAGES[stage]);
+    if (unknownStage) {
+      throw new Error(`${where} (${framework.name}): unknown stage "${unknownStage}". Stages: ${Object.keys(CAREER_STAGES).join(', ')}`);
+    }
+    for (const label of [framework.name, ...(framework.aliases || [])]) {
+      const key = label.toLowerCase();
+      if (names.has(key)) throw new Error(`${where}: "${label}" is already used by ${names.get(key)}`);
+      names.set(key, framework.name);
+    }
+  });
+
+  for (const framework of raw.frameworks) {
+    const unknown = (framework.related || []).find(other => !names.has(other.toLowerCase()));
+    if (unknown) throw new Error(`${name}: ${framework.name} is related to "${unknown}", which isn't in the registry`);
+  }
+  return raw;
+}
+
+/**
+ * The registry file as written, checked. A missing file gives an empty registry.
+ */
+function readFrameworkRegistry(filePath = DEFAULT_FRAMEWORKS_FILE) {
+  if (!fs.existsSync(filePath)) return { frameworks: [] };
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Could not parse ${path.basename(filePath)}: ${error.message}`);
+  }
+  return checkFrameworkRegistry(raw, path.basename(filePath));
+}
+
+/**
+ * Check and write the registry file, one field per line and lists on one
+ * line, the way it is kept by hand
+ */
+function saveFrameworkRegistry(raw, filePath = DEFAULT_FRAMEWORKS_FILE) {
+  checkFrameworkRegistry(raw, path.basename(filePath));
+  const value = item => JSON.stringify(item).replace(/","/g, '", "');
+  const entry = framework => `    {\n${Object.entries(framework)
+    .map(([key, item]) => `      ${JSON.stringify(key)}: ${value(item)}`).join(',\n')}\n    }`;
+  const sections = [`  "frameworks": [\n${raw.frameworks.map(entry).join(',\n')}\n  ]`];
+  if (raw.rejected && raw.rejected.length > 0) sections.push(`  "rejected": ${value(raw.rejected)}`);
+  fs.writeFileSync(filePath, `{\n${sections.join(',\n')}\n}\n`);
+}
+
+/**
+ * Load the registry file with every field filled in. A missing file gives
+ * an empty registry.
+ */
+function loadFrameworkRegistry(filePath = DEFAULT_FRAMEWORKS_FILE) {
+  const raw = readFrameworkRegistry(filePath);
+  const canonical = new Map();
+  raw.frameworks.forEach(f => [f.name, ...(f.aliases || [])].forEach(label => canonical.set(label.toLowerCase(), f.name)));
+  return raw.frameworks.map(f => ({
+    name: f.name,
+    aliases: f.aliases || [],
+    patterns: f.patterns || [],
+    creator: f.creator || 'Unknown',
+    description: f.description || '',
+    stages: f.stages || [],
+    related: (f.related || []).map(other => canonical.get(other.toLowerCase())),
+  }));
+}
+
+/**
+ * Names discovery should no longer suggest
+ */
+function loadRejected(filePath = DEFAULT_FRAMEWORKS_FILE) {
+  return readFrameworkRegistry(filePath).rejected || [];
+}
+
+/**
+ * Matchers for each framework, tried in order until one finds a mention
+ */
+function frameworkMatchers(framework) {
+  if (framework.patterns.length > 0) return framework.patterns.map(pattern => new RegExp(pattern, 'gi'));
+  return [new RegExp([framework.name, ...framework.aliases].map(entrySource).join('|'), 'gi')];
+}
+
+module.exports = {
+  DEFAULT_FRAMEWORKS_FILE,
+  checkFrameworkRegistry,
+  readFrameworkRegistry,
+  saveFrameworkRegistry,
+  loadFrameworkRegistry,
+  loadRejected,
+  frameworkMatchers,
+};
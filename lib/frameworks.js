@@ -0,0 +1,329 @@
+/**
+ * PM Wisdom Engine - Framework Extraction
+ * 
+ * Extracts named frameworks, mental models, and key insights (see insights.js)
+ * from transcripts.
+ * The frameworks to look for come from the registry in config/frameworks.json
+ * (see framework-registry.js). Every match is scored in its sentence, and
+ * only confident ones count as mentions.
+ * 
+ * Per-episode results are cached by content hash, so only episodes that
+ * ingest added or changed are re-scanned.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { defaultCacheDir, hashContent, fingerprintFiles, createStageCache } = require('./incremental');
+const { contentText } = require('./sponsors');
+const { stripTurnHeaders } = require('./turns');
+const { assertValid } = require('./validate');
+const { DEFAULT_FRAMEWORKS_FILE, loadFrameworkRegistry, frameworkMatchers } = require('./framework-registry');
+const { entrySource, loadVocabulary, compileVocabulary } = require('./vocabulary');
+const { stripLabels, extractEpisodeInsights, dedupeInsights } = require('./insights');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '../data');
+
+// Signs that a sentence explains a framework rather than naming it in passing
+const DEFINING_CUES = /\b(?:is (?:a|an|the|when|where|how|about)|means|stands for|the idea (?:is|being)|works like|the way (?:it|this|that) works|(?:we|I) (?:use|used|apply|applied|ran|run|introduced)|you (?:ask|start|score|rank|write|imagine|list|pick)|step|for example|basically)\b/i;
+// Ad reads that sponsor detection didn't tag
+const AD_CUES = /\b(?:brought to you by|sponsored by|today's sponsor|promo code|use code|free trial|sign up (?:at|today)|\w+\.com\/\w+)\b/i;
+// "my north star", "like a north star": the words used as a figure of speech
+const CASUAL_BEFORE = /\b(?:my|his|her|your|their|like an?|as an?)\s+$/i;
+const KIND_WORDS = /\b(?:framework|model|method|metric|matrix|exercise|survey|score|scoring|loop|tree)\b/i;
+// Kind words a name can go without: "RICE Framework" is often just "RICE"
+const NAME_SUFFIX = /\s+(?:framework|model|score|survey)$/i;
+const DESCRIPTION_STOPWORDS = new Set(['with', 'that', 'than', 'what', 'when', 'your', 'their', 'them', 'from', 'into', 'rather', 'single', 'best', 'core', 'ways', 'everything']);
+
+// Confidence below this makes a mention a false positive; at or above DEFINING it explains the framework
+const CONFIDENT = 0.4;
+const DEFINING = 0.75;
+
+/**
+ * Registry entries with their compiled matchers, the pattern for the
+ * framework's own names, one for its bare acronyms ("RICE", capitals
+ * only, null if it has none) and the words its description uses
+ */
+function compileRegistry(registry) {
+  return registry.map(framework => {
+    const names = [framework.name, ...framework.aliases];
+    const acronyms = [...new Set(names.map(name => name.replace(NAME_SUFFIX, '')))].filter(name => /^[A-Z]{2,}$/.test(name));
+    return {
+      ...framework,
+      matchers: frameworkMatchers(framework),
+      named: new RegExp(names.map(entrySource).join('|'), 'i'),
+      acronyms: acronyms.length > 0 ? new RegExp(acronyms.map(entrySource).join('|')) : null,
+      terms: [...new Set(framework.description.toLowerCase().match(/[a-z]{4,}/g) || [])].filter(word => !DESCRIPTION_STOPWORDS.has(word)),
+    };
+  });
+}
+
+/**
+ * Every match of a framework in one sentence, without overlaps between its patterns
+ */
+function sentenceMatches(sentence, framework) {
+  const spans = [];
+  for (const pattern of framework.matchers) {
+    for (const match of sentence.matchAll(pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (match[0].length > 0 && !spans.some(span => start < span.end && end > span.start)) spans.push({ start, end, text: match[0] });
+    }
+  }
+  return spans;
+}
+
+/**
+ * How sure we are that a match is about the framework, from 0 to 1, and
+ * what kind of mention it is: "defining" (explains or applies it),
+ * "reference" (names it in passing) or "false_positive"
+ */
+function classifyMention(framework, sentences, i, match) {
+  const sentence = sentences[i];
+  const window = sentences.slice(Math.max(0, i - 1), i + 2).join('. ');
+  const matched = match.text.toLowerCase();
+  let score = framework.named.test(match.text) ? 0.55 : 0.35;
+
+  // Part of a longer word ("dhm" in "adhmore") never counts
+  if (/\w/.test(sentence[match.start - 1] || '') || /\w/.test(sentence[match.end] || '')) {
+    return { kind: 'false_positive', confidence: 0.05 };
+  }
+  // A loose pattern stretched over half a sentence is probably a coincidence
+  if (match.text.length > 60) score -= 0.2;
+  if (CASUAL_BEFORE.test(sentence.slice(0, match.start)) && !KIND_WORDS.test(match.text)) score -= 0.3;
+  if (DEFINING_CUES.test(sentence)) score += 0.2;
+  const terms = framework.terms.filter(term => !matched.includes(term) && window.toLowerCase().includes(term)).length;
+  if (terms >= 2) score += 0.2;
+  else if (terms === 1) score += 0.1;
+  if (KIND_WORDS.test(sentence.slice(0, match.start) + sentence.slice(match.end))) score += 0.1;
+  if ([i - 1, i + 1].some(j => sentences[j] && sentenceMatches(sentences[j], framework).length > 0)) score += 0.1;
+  if (AD_CUES.test(window)) score -= 0.5;
+
+  const confidence = Math.round(Math.min(1, Math.max(0, score)) * 100) / 100;
+  const kind = confidence < CONFIDENT ? 'false_positive' : confidence >= DEFINING ? 'defining' : 'reference';
+  return { kind, confidence };
+}
+
+/**
+ * A compiled framework's matches in a list of sentences, classified, one
+ * per sentence however many of its patterns match there: { i, kind, confidence }
+ */
+function findMentions(framework, sentences) {
+  const found = [];
+  sentences.forEach((sentence, i) => {
+    const best = sentenceMatches(sentence, framework)
+      .map(match => classifyMention(framework, sentences, i, match))
+      .sort((a, b) => b.confidence - a.confidence)[0];
+    if (best) found.push({ i, ...best });
+  });
+  return found;
+}
+
+/**
+ * Extract frameworks from episode transcript.
+ * options.registry is the compiled registry (default: config/frameworks.json).
+ *
+ * Each match is classified in its sentence (see classifyMention). Only
+ * confident ones count as mentions; `depth` adds up their confidence,
+ * doubled for mentions that explain the framework, so episodes that
+ * discuss it at length rank first.
+ */
+function extractEpisodeFrameworks(episode, options = {}) {
+  const frameworks = [];
+  const sentences = stripTurnHeaders(contentText(episode, options)).split(/[.!?]+/);
+  const registry = options.registry || compileRegistry(loadFrameworkRegistry());
+  
+  for (const framework of registry) {
+    const found = findMentions(framework, sentences);
+    const confident = found.filter(m => m.kind !== 'false_positive');
+    if (found.length === 0) continue;
+    
+    frameworks.push({
+      name: framework.name,
+      creator: framework.creator,
+      description: framework.description,
+      mentions: confident.length,
+      defining: confident.filter(m => m.kind === 'defining').length,
+      false_positives: found.length - confident.length,
+      confidence: confident.reduce((max, m) => Math.max(max, m.confidence), 0),
+      depth: Math.round(confident.reduce((sum, m) => sum + m.confidence * (m.kind === 'defining' ? 2 : 1), 0) * 100) / 100,
+      episode_id: episode.id,
+      guest: episode.guest,
+      guest_ids: (episode.guests || []).map(person => person.id),
+      contexts: findContexts(sentences, [...confident].sort((a, b) => b.confidence - a.confidence)).slice(0, 3), // Top 3 contexts
+    });
+  }
+  
+  return frameworks;
+}
+
+/**
+ * Context around mentions, in the order given, without headings or
+ * speaker labels
+ */
+function findContexts(sentences, mentions) {
+  const contexts = [];
+  for (const { i } of mentions) {
+    // Get surrounding sentences for context
+    const start = Math.max(0, i - 1);
+    const end = Math.min(sentences.length - 1, i + 2);
+    const context = stripLabels(sentences.slice(start, end + 1).join('. '));
+    
+    if (context.length > 50 && !contexts.includes(context)) {
+      contexts.push(context);
+    }
+  }
+  return contexts;
+}
+
+/**
+ * Merge per-episode framework mentions into one record per framework,
+ * most mentioned first. Only confident mentions count; each framework's
+ * episodes are ranked by how deeply they discuss it, and episodes with
+ * nothing but false positives are left out.
+ */
+function aggregateFrameworks(mentions) {
+  const frameworkMap = {};
+  for (const fw of mentions) {
+    if (!frameworkMap[fw.name]) {
+      frameworkMap[fw.name] = {
+        name: fw.name,
+        creator: fw.creator,
+        description: fw.description,
+        episodes: [],
+        total_mentions: 0,
+        defining_mentions: 0,
+        false_positives: 0,
+      };
+    }
+    const framework = frameworkMap[fw.name];
+    framework.false_positives += fw.false_positives || 0;
+    if (fw.mentions === 0) continue;
+    framework.episodes.push({
+      episode_id: fw.episode_id,
+      guest: fw.guest,
+      guest_ids: fw.guest_ids,
+      mentions: fw.mentions,
+      defining: fw.defining,
+      confidence: fw.confidence,
+      depth: fw.depth,
+      contexts: fw.contexts,
+    });
+    framework.total_mentions += fw.mentions;
+    framework.defining_mentions += fw.defining || 0;
+  }
+  
+  // Count people rather than episodes, so a guest's repeat appearances count once
+  return Object.values(frameworkMap)
+    .filter(fw => fw.episodes.length > 0)
+    .map(fw => ({
+      ...fw,
+      episodes: fw.episodes.sort((a, b) => b.depth - a.depth || b.mentions - a.mentions),
+      guest_count: new Set(fw.episodes.flatMap(e => e.guest_ids)).size,
+    }))
+    .sort((a, b) => b.total_mentions - a.total_mentions);
+}
+
+/**
+ * Read episodes.json from a data directory
+ */
+function readEpisodes(dataDir) {
+  const episodesPath = path.join(dataDir, 'episodes.json');
+  if (!fs.existsSync(episodesPath)) {
+    throw new Error('episodes.json not found. Run npm run ingest first.');
+  }
+  return JSON.parse(fs.readFileSync(episodesPath, 'utf-8'));
+}
+
+/**
+ * Extract frameworks and insights from every episode.
+ * 
+ * Options:
+ *   dataDir          where episodes.json is read and results are written (default data/)
+ *   episodes         episodes to scan instead of reading episodes.json
+ *   includeSponsors  keep sponsor reads tagged at ingest
+ *   registryFile     framework registry to match against (default config/frameworks.json)
+ *   full             ignore cached per-episode results
+ *   cache            read and update the stage cache in <cacheDir>/stages/ (default true)
+ *   cacheDir         where caches are kept (default .cache/, or .cache/ inside a custom dataDir)
+ *   write            write frameworks.json and insights.json (default true)
+ *   log              progress callback, e.g. console.log
+ *   warn             callback for an unreadable stage cache (default: log)
+ * 
+ * Returns { frameworks, insights, cache: { hits, misses } }. Throws a
+ * DataContractError, before writing anything, if the output breaks the contract.
+ */
+function extractFrameworks(options = {}) {
+  const {
+    dataDir = DEFAULT_DATA_DIR,
+    registryFile = DEFAULT_FRAMEWORKS_FILE,
+    includeSponsors = false,
+    full = false,
+    cache: useCache = true,
+    cacheDir = defaultCacheDir(dataDir),
+    write = true,
+    log = () => {},
+    warn = log,
+  } = options;
+  const episodes = options.episodes || readEpisodes(dataDir);
+  log(`📚 Processing ${episodes.length} episodes...\n`);
+  
+  // Extract from all episodes, reusing cached results for unchanged ones
+  const allFrameworks = [];
+  const allInsights = [];
+  const entries = loadFrameworkRegistry(registryFile);
+  const dictionary = loadVocabulary();
+  const extractOptions = {
+    includeSponsors: Boolean(includeSponsors),
+    registry: compileRegistry(entries),
+    vocabulary: compileVocabulary(dictionary),
+  };
+  const fingerprint = fingerprintFiles([__filename, ...['./sponsors', './framework-registry', './insights', './turns', './guests'].map(file => require.resolve(file))]) +
+    `:${hashContent(JSON.stringify([entries, dictionary.topics]))}` +
+    (extractOptions.includeSponsors ? ':with-sponsors' : '');
+  const cache = createStageCache('extract', fingerprint, { cacheDir, disabled: full || !useCache, persist: useCache, warn });
+  
+  for (const episode of episodes) {
+    const { frameworks, insights } = cache.resolve(episode, ep => ({
+      frameworks: extractEpisodeFrameworks(ep, extractOptions),
+      insights: extractEpisodeInsights(ep, extractOptions),
+    }));
+    
+    allFrameworks.push(...frameworks);
+    allInsights.push(...insights);
+    
+    // Frameworks with nothing but false positives aren't found
+    const found = frameworks.filter(f => f.mentions > 0);
+    if (found.length > 0) {
+      log(`✅ ${episode.guest}: ${found.map(f => f.name).join(', ')}`);
+    }
+  }
+  
+  cache.save();
+  const { hits, misses } = cache.stats();
+  log(`\n♻️  ${misses} episodes extracted, ${hits} reused from cache`);
+  
+  const frameworks = aggregateFrameworks(allFrameworks);
+  const insights = dedupeInsights(allInsights);
+  log(`💡 ${insights.length} insights kept of ${allInsights.length} found, near-duplicates merged`);
+  
+  // Check the output against the data contract before anything is written
+  assertValid('frameworks', frameworks);
+  assertValid('insights', insights);
+  
+  if (write) {
+    fs.writeFileSync(path.join(dataDir, 'frameworks.json'), JSON.stringify(frameworks, null, 2));
+    fs.writeFileSync(path.join(dataDir, 'insights.json'), JSON.stringify(insights, null, 2));
+  }
+  
+  return { frameworks, insights, cache: { hits, misses } };
+}
+
+module.exports = {
+  compileRegistry,
+  findMentions,
+  extractEpisodeFrameworks,
+  extractEpisodeInsights,
+  aggregateFrameworks,
+  readEpisodes,
+  extractFrameworks,
+};
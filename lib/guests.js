@@ -0,0 +1,156 @@
+/**
+ * PM Wisdom Engine - Guest Identity
+ *
+ * Resolves the guest credited on an episode ("Dr. Fei Fei Li",
+ * "Hamel+Shreya", "Shreyas Doshi Live") to the real people behind it,
+ * each with a canonical ID. Known people and their aliases live in
+ * config/guests.json:
+ *
+ *   {
+ *     "people": { "fei-fei-li": { "name": "Fei-Fei Li", "aliases": ["Fei Fei"] } },
+ *     "groups": { "Hamel Shreya": ["hamel-husain", "shreya-shankar"] }
+ *   }
+ *
+ * `groups` maps a credit that names several people without separators.
+ * Anyone not listed gets an ID from their cleaned-up name.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_GUESTS_FILE = path.join(__dirname, '../config/guests.json');
+
+// Credits separate several guests with "+", "&", "/", "," or "and"
+const GUEST_SEPARATOR = /\s*(?:\+|&|\/|,|\band\b)\s*/i;
+const HONORIFIC = /^(?:dr|prof|professor|sir|mr|mrs|ms)\.?\s+/i;
+const EPISODE_SUFFIX = /\s+(?:\([^)]*\)|live|returns|part\s*\d+|pt\.?\s*\d+|\d+(?:\.\d+)?)$/i;
+
+/**
+ * Strip titles and episode suffixes from a credited name, keeping its casing
+ */
+function cleanName(name) {
+  let cleaned = name.trim().replace(HONORIFIC, '');
+  while (EPISODE_SUFFIX.test(cleaned)) {
+    cleaned = cleaned.replace(EPISODE_SUFFIX, '');
+  }
+  return cleaned.trim();
+}
+
+/**
+ * Comparison key for a name: lowercase words without accents or punctuation
+ */
+function nameKey(name) {
+  return cleanName(name)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/'/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Canonical guest ID for a name
+ */
+function guestId(name) {
+  return nameKey(name).replace(/ /g, '-');
+}
+
+/**
+ * Load the alias file and index every name, alias and ID by its key.
+ * A missing file gives an empty registry.
+ */
+function loadGuestRegistry(filePath = DEFAULT_GUESTS_FILE) {
+  const registry = { people: {}, keys: new Map(), groups: new Map() };
+  if (!fs.existsSync(filePath)) return registry;
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Could not parse ${path.basename(filePath)}: ${error.message}`);
+  }
+
+  for (const [id, person] of Object.entries(config.people || {})) {
+    if (!person || typeof person.name !== 'string') {
+      throw new Error(`${path.basename(filePath)}: people.${id} needs a "name"`);
+    }
+    registry.people[id] = { id, name: person.name };
+    for (const alias of [id.replace(/-/g, ' '), person.name, ...(person.aliases || [])]) {
+      registry.keys.set(nameKey(alias), id);
+    }
+  }
+
+  for (const [credit, ids] of Object.entries(config.groups || {})) {
+    const unknown = [].concat(ids).filter(id => !registry.people[id]);
+    if (unknown.length > 0) {
+      throw new Error(`${path.basename(filePath)}: groups["${credit}"] names unknown people: ${unknown.join(', ')}`);
+    }
+    registry.groups.set(nameKey(credit), [].concat(ids));
+  }
+
+  return registry;
+}
+
+/**
+ * Find one person by name, falling back to a new identity for unknown names
+ */
+function resolvePerson(name, registry) {
+  const id = registry.keys.get(nameKey(name));
+  if (id) return registry.people[id];
+  return { id: guestId(name), name: cleanName(name) };
+}
+
+/**
+ * Resolve a credited guest string to the list of people it names
+ */
+function resolveGuests(credit, registry = loadGuestRegistry()) {
+  const key = nameKey(credit || '');
+  if (!key) return [];
+
+  let people;
+  if (registry.groups.has(key)) {
+    people = registry.groups.get(key).map(id => registry.people[id]);
+  } else if (registry.keys.has(key)) {
+    people = [registry.people[registry.keys.get(key)]];
+  } else {
+    people = credit.split(GUEST_SEPARATOR)
+      .filter(part => nameKey(part))
+      .map(part => resolvePerson(part, registry));
+  }
+
+  const seen = new Set();
+  return people.filter(person => !seen.has(person.id) && seen.add(person.id));
+}
+
+/**
+ * Display name for a list of people ("Hamel Husain & Shreya Shankar")
+ */
+function guestLabel(people) {
+  const names = people.map(person => person.name);
+  if (names.length <= 2) return names.join(' & ');
+  return `${names.slice(0, -1).join(', ')} & ${names[names.length - 1]}`;
+}
+
+/**
+ * The person a speaker label names among an episode's guests: by full
+ * name or ID, then by first name ("Shreyas"). Anyone else gets a new
+ * identity from the label.
+ */
+function speakerGuest(people, speaker) {
+  const key = nameKey(speaker);
+  return people.find(person => nameKey(person.name) === key || person.id === guestId(speaker))
+    || people.find(person => nameKey(person.name).split(' ')[0] === key)
+    || { id: guestId(speaker), name: cleanName(speaker) };
+}
+
+module.exports = {
+  DEFAULT_GUESTS_FILE,
+  cleanName,
+  nameKey,
+  guestId,
+  loadGuestRegistry,
+  resolveGuests,
+  guestLabel,
+  speakerGuest,
+};
@@ -0,0 +1,148 @@
+/**
+ * PM Wisdom Engine - Incremental Processing
+ *
+ * Content hashes let each pipeline stage skip work it has already done.
+ * Ingest keeps a manifest of transcript file hashes in data/manifest.json;
+ * downstream stages keep per-episode result caches under .cache/stages/
+ * (see defaultCacheDir for where .cache/ is).
+ *
+ * Every manifest and cache records a fingerprint of the code that produced
+ * it, so editing a stage's logic invalidates its cached results.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DEFAULT_DATA_DIR = path.join(ROOT_DIR, 'data');
+const DEFAULT_CACHE_DIR = path.join(ROOT_DIR, '.cache');
+
+/**
+ * Cache directory for a data directory: the package's .cache/ for its own
+ * data/, and a .cache/ inside any other, so separate corpora never
+ * overwrite each other's caches
+ */
+function defaultCacheDir(dataDir = DEFAULT_DATA_DIR) {
+  return path.resolve(dataDir) === DEFAULT_DATA_DIR ? DEFAULT_CACHE_DIR : path.join(dataDir, '.cache');
+}
+
+/**
+ * SHA-1 of a string or buffer
+ */
+function hashContent(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+/**
+ * Fingerprint of the source files that implement a stage
+ */
+function fingerprintFiles(files) {
+  return hashContent(files.map(file => fs.readFileSync(file, 'utf-8')).join('\0'));
+}
+
+/**
+ * Read a JSON file, or return the fallback if it is missing or unreadable.
+ * warn is called with a message when the file is there but unreadable.
+ */
+function readJson(filePath, fallback, warn = () => {}) {
+  if (!fs.existsSync(filePath)) return fallback;
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    warn(`   ⚠️ Ignoring unreadable ${path.basename(filePath)}: ${error.message}`);
+    return fallback;
+  }
+}
+
+/**
+ * Load the ingest manifest. Returns an empty manifest when the stored one
+ * was written by different ingest code.
+ */
+function loadManifest(dataDir, fingerprint, warn) {
+  const manifest = readJson(path.join(dataDir, 'manifest.json'), null, warn);
+  if (!manifest || manifest.fingerprint !== fingerprint) {
+    return { fingerprint, files: {} };
+  }
+  return manifest;
+}
+
+/**
+ * Save the ingest manifest
+ */
+function saveManifest(dataDir, manifest) {
+  fs.writeFileSync(path.join(dataDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+}
+
+/**
+ * Hash identifying an episode's content for downstream caches
+ */
+function episodeHash(episode) {
+  return episode.content_hash || hashContent(JSON.stringify(episode));
+}
+
+/**
+ * Per-episode result cache for a pipeline stage.
+ * Entries are only returned while both the stage fingerprint and the
+ * episode hash match what they were stored with. `disabled` ignores the
+ * stored entries; `persist: false` also leaves the file on disk alone.
+ * `warn` is told when the stored cache can't be read. The cache is kept
+ * in `cacheDir`/stages/ (default .cache/stages/).
+ */
+function createStageCache(stage, fingerprint, { cacheDir = DEFAULT_CACHE_DIR, disabled = false, persist = true, warn } = {}) {
+  const stageDir = path.join(cacheDir, 'stages');
+  const cachePath = path.join(stageDir, `${stage}.json`);
+  const stored = disabled ? null : readJson(cachePath, null, warn);
+  const entries = stored && stored.fingerprint === fingerprint ? stored.entries : {};
+  const used = new Set();
+  let hits = 0;
+  let misses = 0;
+
+  return {
+    /**
+     * Return the cached result for an episode, computing it on a miss
+     */
+    resolve(episode, compute) {
+      const hash = episodeHash(episode);
+      used.add(episode.id);
+
+      const entry = entries[episode.id];
+      if (entry && entry.hash === hash) {
+        hits++;
+        return entry.value;
+      }
+
+      misses++;
+      const value = compute(episode);
+      entries[episode.id] = { hash, value };
+      return value;
+    },
+
+    /**
+     * Drop episodes that were not seen this run and write the cache to disk
+     */
+    save() {
+      if (!persist) return;
+      for (const id of Object.keys(entries)) {
+        if (!used.has(id)) delete entries[id];
+      }
+      fs.mkdirSync(stageDir, { recursive: true });
+      fs.writeFileSync(cachePath, JSON.stringify({ fingerprint, entries }));
+    },
+
+    stats() {
+      return { hits, misses };
+    },
+  };
+}
+
+module.exports = {
+  defaultCacheDir,
+  hashContent,
+  fingerprintFiles,
+  readJson,
+  loadManifest,
+  saveManifest,
+  episodeHash,
+  createStageCache,
+};
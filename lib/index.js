@@ -0,0 +1,86 @@
+/**
+ * PM Wisdom Engine - Library
+ *
+ * The engine as a Node library. Requiring it has no side effects; nothing
+ * is read, cloned or written until a function is called.
+ *
+ *   const wisdom = require('pm-wisdom-engine');
+ *   const corpus = wisdom.loadCorpus();
+ *   wisdom.search(corpus, 'pmf guest:"brian chesky"', { mode: 'keyword' }).results;
+ *   wisdom.findAdvice(corpus, 'we keep missing deadlines', { stage: 'senior' });
+ *
+ * The pipeline stages take an options object too, with `dataDir` to work
+ * elsewhere than data/, `write: false` to only return their output,
+ * `cache: false` to leave .cache/ alone, `cacheDir` to keep the caches
+ * elsewhere and `log` for progress lines:
+ *
+ *   wisdom.extractFrameworks({ episodes, write: false, cache: false }).frameworks;
+ *   wisdom.findContradictions({ dataDir: '/tmp/corpus' });
+ *   wisdom.buildApp({ outputDir: './public' });
+ *   await wisdom.runPipeline({ only: ['extract', 'build'] });   // resolves to the run report
+ */
+
+const { loadCorpus, readCorpus, findEpisode, findFramework, watchUrl } = require('./corpus');
+const { createEngine, CAREER_STAGES, COMPANY_STAGES } = require('./engine');
+const { extractFrameworks } = require('./frameworks');
+const { loadFrameworkRegistry } = require('./framework-registry');
+const { buildFrameworkGraph } = require('./framework-graph');
+const { findContradictions } = require('./contradictions');
+const { discoverFrameworks } = require('./discovery');
+const { buildApp } = require('./build');
+const { ingest } = require('./ingest');
+const { runPipeline } = require('./pipeline');
+const { parseQuery } = require('./search');
+const { DataContractError, validateAll } = require('./validate');
+
+// One engine per corpus, so repeated queries reuse its indexes
+const engines = new WeakMap();
+
+function engineFor(corpus) {
+  if (!corpus || !Array.isArray(corpus.episodes)) {
+    throw new TypeError('Pass the corpus from loadCorpus() as the first argument');
+  }
+  if (!engines.has(corpus)) engines.set(corpus, createEngine(corpus));
+  return engines.get(corpus);
+}
+
+/**
+ * Ranked search over segments and insights, as in the app. Returns
+ * { results, episodes, frameworks }. Options: mode ("hybrid", "keyword" or
+ * "semantic"), show, stage, from, to, company, sort and includeSponsors.
+ */
+function search(corpus, query, options = {}) {
+  return engineFor(corpus).search(query, options);
+}
+
+/**
+ * Decision Simulator advice for a situation, best first. Options: stage,
+ * company, show, includeSponsors and limit.
+ */
+function findAdvice(corpus, situation, options = {}) {
+  return engineFor(corpus).advise(situation, options);
+}
+
+module.exports = {
+  loadCorpus,
+  readCorpus,
+  search,
+  findAdvice,
+  ingest,
+  extractFrameworks,
+  loadFrameworkRegistry,
+  buildFrameworkGraph,
+  findContradictions,
+  discoverFrameworks,
+  buildApp,
+  runPipeline,
+  createEngine,
+  findEpisode,
+  findFramework,
+  watchUrl,
+  parseQuery,
+  validateAll,
+  DataContractError,
+  CAREER_STAGES,
+  COMPANY_STAGES,
+};
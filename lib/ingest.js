@@ -0,0 +1,935 @@
+/**
+ * PM Wisdom Engine - Transcript Ingestion
+ * 
+ * Reads podcast transcripts from a configured source and parses them
+ * into structured JSON data for the application.
+ * 
+ * Sources can be local directories, zip/tar archives or git remotes (see
+ * sources.js). Without one, the ChatPRD transcripts repository is cloned.
+ * Episode IDs are namespaced by show ("lennys-podcast:brian-chesky").
+ * 
+ * Only new or changed transcripts are parsed; unchanged episodes are
+ * carried over from the previous run.
+ * 
+ * Output:
+ *   episodes.json - All episode metadata and content (sponsor reads in `sponsor_ranges`)
+ *   segments.json - Chunked segments for search (ad reads tagged `sponsor: true`)
+ *   manifest.json - Content hash of every transcript file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { glob } = require('glob');
+const { DEFAULT_SHOW, listSources, prepareSource, showHosts, SourceError } = require('./sources');
+const { hashContent, fingerprintFiles, readJson, loadManifest, saveManifest } = require('./incremental');
+const { parseTurns, turnClock } = require('./turns');
+const { DEFAULT_GUESTS_FILE, loadGuestRegistry, resolveGuests, guestLabel } = require('./guests');
+const { DEFAULT_METADATA_FILE, loadEpisodeMetadata, metadataFor, enrichEpisode } = require('./metadata');
+const { EXTENSIONS, CAPTION_EXTENSIONS, adapterFor, parseFormat } = require('./formats');
+const { DEFAULT_VOCABULARY_FILE, loadVocabulary, compileVocabulary, findTopics } = require('./vocabulary');
+const { detectSponsors, sponsorShare, contentText } = require('./sponsors');
+const { assertValid } = require('./validate');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '../data');
+
+// Configuration
+const CONFIG = {
+  segmentSize: 500,       // Max words per segment
+  segmentOverlap: 50,     // Overlap words when a long turn is split
+};
+
+// Files whose logic shapes episodes and segments; editing them forces a full re-parse
+const INGEST_FILES = ['./turns', './sponsors', './formats', './guests', './metadata', './vocabulary']
+  .map(file => require.resolve(file))
+  .concat(__filename, [DEFAULT_GUESTS_FILE, DEFAULT_METADATA_FILE, DEFAULT_VOCABULARY_FILE].filter(file => fs.existsSync(file)));
+
+/**
+ * Parse a single transcript file. `show` is the tag of the source it came
+ * from; untagged sources use the transcript's own channel. `context` holds
+ * the guest registry, the local metadata table and the source's `hosts`
+ * (see showHosts).
+ */
+function parseTranscript(filePath, show, { guestRegistry, metadata, hosts }) {
+  const content = fs.readFileSync(filePath, 'utf-8');
+  // Caption speakers are named before the file's own channel is read, so an untagged source counts as the default show
+  const { format, meta: frontmatter, transcript: text, end } = parseFormat(filePath, content, { hostNames: showHosts(show || DEFAULT_SHOW, hosts) });
+  
+  // Extract guest name from folder path (<guest>/transcript.md) or file name (<guest>.srt)
+  const ext = path.extname(filePath);
+  const guestFolder = path.basename(filePath, ext) === 'transcript'
+    ? path.basename(path.dirname(filePath))
+    : path.basename(filePath, ext);
+  const channel = show || frontmatter.channel || DEFAULT_SHOW;
+  
+  // The credited guest may name several people, or one person under an alias
+  const credit = frontmatter.guest || formatGuestName(guestFolder);
+  const guests = resolveGuests(credit, guestRegistry);
+  
+  const episode = {
+    id: generateId(guestFolder, channel),
+    guest: guestLabel(guests) || credit,
+    guests,
+    guest_credit: credit,
+    title: frontmatter.title || '',
+    youtube_url: frontmatter.youtube_url || '',
+    video_id: frontmatter.video_id || extractVideoId(frontmatter.youtube_url),
+    description: frontmatter.description || '',
+    // Captions without a stated duration last as long as their last cue
+    duration_seconds: frontmatter.duration_seconds || Math.ceil(end || 0),
+    duration: frontmatter.duration || '',
+    view_count: frontmatter.view_count || 0,
+    channel,
+    transcript: text,
+    turns: parseTurns(text, { hostNames: showHosts(channel, hosts) }),
+    format,
+    folder: guestFolder,
+  };
+  
+  // Publish date plus each guest's role and company
+  return enrichEpisode(episode, frontmatter, metadataFor(episode, metadata));
+}
+
+/**
+ * Lowercase kebab-case slug
+ */
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/'/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+/**
+ * Generate a unique ID from guest folder name, namespaced by show
+ * so the same guest on two podcasts gets two episodes
+ */
+function generateId(guestFolder, show = DEFAULT_SHOW) {
+  return `${slugify(show)}:${slugify(guestFolder)}`;
+}
+
+/**
+ * Format guest name from folder name
+ */
+function formatGuestName(folderName) {
+  return folderName
+    .split('-')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Extract YouTube video ID from URL
+ */
+function extractVideoId(url) {
+  if (!url) return '';
+  const match = url.match(/(?:v=|youtu\.be\/)([^&?]+)/);
+  return match ? match[1] : '';
+}
+
+/**
+ * Extract timestamps from transcript text
+ * Common formats: [00:00:00], (00:00), 00:00:00
+ */
+function extractTimestamps(text) {
+  const patterns = [
+    /\[(\d{1,2}):(\d{2}):(\d{2})\]/g,
+    /\((\d{1,2}):(\d{2}):(\d{2})\)/g,
+    /\[(\d{1,2}):(\d{2})\]/g,
+    /^(\d{1,2}):(\d{2}):(\d{2})/gm,
+  ];
+  
+  const timestamps = [];
+  for (const pattern of patterns) {
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const hours = match[3] ? parseInt(match[1]) : 0;
+      const minutes = match[3] ? parseInt(match[2]) : parseInt(match[1]);
+      const seconds = match[3] ? parseInt(match[3]) : parseInt(match[2]);
+      timestamps.push({
+        position: match.index,
+        seconds: hours * 3600 + minutes * 60 + seconds,
+        text: match[0],
+      });
+    }
+  }
+  
+  return timestamps.sort((a, b) => a.position - b.position);
+}
+
+const SENTENCE_PATTERN = /[^.!?]+(?:[.!?]+["')\]]*|$)/g;
+
+/**
+ * Count words in a piece of text
+ */
+function countWords(text) {
+  return (text.match(/\S+/g) || []).length;
+}
+
+/**
+ * Break an episode into sentences, each carrying its speaker, turn,
+ * start/end seconds and whether it is part of an ad read.
+ * Times inside a turn are interpolated by word position between the
+ * turn's timestamp and the next one.
+ */
+function sentenceUnits(episode) {
+  const turns = episode.turns || [];
+  const units = [];
+  
+  if (turns.length > 0) {
+    turns.forEach((turn, turnIndex) => {
+      const timeAt = turnClock(turns, turnIndex, episode.duration_seconds);
+      
+      let wordsBefore = 0;
+      (turn.text.match(SENTENCE_PATTERN) || []).forEach((sentence, i) => {
+        const text = sentence.trim();
+        if (!text) return;
+        const words = countWords(text);
+        units.push({
+          text,
+          words,
+          speaker: turn.speaker,
+          role: turn.role,
+          sponsor: Boolean(turn.sponsor),
+          turnIndex,
+          firstInTurn: i === 0,
+          start: timeAt(wordsBefore),
+          end: timeAt(wordsBefore + words),
+        });
+        wordsBefore += words;
+      });
+    });
+    return units;
+  }
+  
+  // No speaker labels: take sentences from the raw text, timed by the last inline timestamp
+  const timestamps = extractTimestamps(episode.transcript);
+  let stampIndex = -1;
+  for (const match of episode.transcript.matchAll(SENTENCE_PATTERN)) {
+    const text = match[0].replace(/\s+/g, ' ').trim();
+    if (!text) continue;
+    while (stampIndex + 1 < timestamps.length && timestamps[stampIndex + 1].position <= match.index) {
+      stampIndex++;
+    }
+    const stamp = timestamps[stampIndex];
+    units.push({
+      text,
+      words: countWords(text),
+      speaker: null,
+      role: null,
+      sponsor: sponsorShare(episode.sponsor_ranges, match.index, match.index + match[0].length) > 0.5,
+      turnIndex: null,
+      firstInTurn: false,
+      start: stamp ? stamp.seconds : null,
+      end: null,
+    });
+  }
+  return units;
+}
+
+/**
+ * Build one segment from a run of sentence units
+ */
+function buildSegment(episode, units, index, wordStart) {
+  const words = units.reduce((sum, u) => sum + u.words, 0);
+  const first = units[0];
+  const last = units[units.length - 1];
+  
+  // Attribute the segment to whoever speaks most of it
+  const bySpeaker = {};
+  let sponsorWords = 0;
+  for (const unit of units) {
+    if (unit.speaker) bySpeaker[unit.speaker] = (bySpeaker[unit.speaker] || 0) + unit.words;
+    if (unit.sponsor) sponsorWords += unit.words;
+  }
+  const speaker = Object.keys(bySpeaker).sort((a, b) => bySpeaker[b] - bySpeaker[a])[0] || null;
+  const speakerUnit = units.find(u => u.speaker === speaker);
+  
+  const start = first.start != null ? first.start : 0;
+  const end = last.end != null ? last.end : (last.start != null ? last.start : start);
+  
+  return {
+    id: `${episode.id}-${index}`,
+    episode_id: episode.id,
+    guest: episode.guest,
+    title: episode.title,
+    video_id: episode.video_id || '',
+    speaker,
+    role: speakerUnit ? speakerUnit.role : null,
+    text: units.map(u => u.text).join(' '),
+    estimated_time: Math.floor(start),
+    end_time: Math.ceil(end),
+    word_start: wordStart,
+    word_end: wordStart + words,
+    sponsor: sponsorWords * 2 > words,
+  };
+}
+
+/**
+ * Chunk transcript into segments for search.
+ * Segments are made of whole sentences and prefer to end where a speaker
+ * turn ends; they only break mid-turn when a turn is longer than
+ * segmentSize words, overlapping by up to segmentOverlap words there.
+ * Ad reads always get segments of their own.
+ */
+function chunkTranscript(episode) {
+  const units = sentenceUnits(episode);
+  const segments = [];
+  const minWords = Math.round(CONFIG.segmentSize * 0.6);
+  
+  // Word offset of every unit, for word_start/word_end
+  const offsets = [];
+  units.reduce((sum, unit, i) => { offsets[i] = sum; return sum + unit.words; }, 0);
+  
+  let start = 0;
+  while (start < units.length) {
+    let end = start;
+    let words = 0;
+    while (end < units.length) {
+      const unit = units[end];
+      if (end > start) {
+        if (unit.sponsor !== units[start].sponsor) break;
+        if (words + unit.words > CONFIG.segmentSize) break;
+        if (unit.firstInTurn && words >= minWords) break;
+      }
+      words += unit.words;
+      end++;
+    }
+    
+    segments.push(buildSegment(episode, units.slice(start, end), segments.length, offsets[start]));
+    if (end >= units.length) break;
+    
+    // Mid-turn breaks repeat the last few sentences so context isn't lost
+    let next = end;
+    let overlap = 0;
+    if (!units[end].firstInTurn) {
+      while (next - 1 > start &&
+        units[next - 1].turnIndex === units[end].turnIndex &&
+        units[next - 1].sponsor === units[end].sponsor &&
+        overlap + units[next - 1].words <= CONFIG.segmentOverlap) {
+        next--;
+        overlap += units[next].words;
+      }
+    }
+    start = next;
+  }
+  
+  return segments;
+}
+
+/**
+ * Topics an episode discusses: the vocabulary topics it mentions at least
+ * three times, most mentioned first
+ */
+function extractTopics(text, vocabulary) {
+  return findTopics(vocabulary, text)
+    .filter(t => t.mentions >= 3)
+    .slice(0, 5)
+    .map(t => t.topic);
+}
+
+/**
+ * Names of every distinct person across episodes
+ */
+function uniqueGuests(episodes) {
+  const people = new Map();
+  episodes.forEach(ep => ep.guests.forEach(person => people.set(person.id, person.name)));
+  return [...people.values()];
+}
+
+/**
+ * Find the transcript files in an episodes folder:
+ * <guest>/transcript.<ext> folders and loose caption files
+ */
+async function findTranscripts(episodesDir, { log = () => {}, warn = log } = {}) {
+  const extensions = EXTENSIONS.map(ext => ext.slice(1)).join(',');
+  const captionExtensions = CAPTION_EXTENSIONS.map(ext => ext.slice(1)).join(',');
+  const patterns = [`*/transcript.{${extensions}}`, `*.{${captionExtensions}}`];
+  const candidates = await glob(patterns, { cwd: episodesDir, absolute: true, nocase: true });
+  
+  // Loose .json files are only transcripts if they hold captions
+  const files = candidates.sort().filter(file => {
+    if (adapterFor(file, fs.readFileSync(file, 'utf-8'))) return true;
+    warn(`⚠️  Skipping ${path.relative(episodesDir, file)} (not a supported transcript format)`);
+    return false;
+  });
+  
+  const formats = {};
+  files.forEach(file => {
+    const ext = path.extname(file).toLowerCase();
+    formats[ext] = (formats[ext] || 0) + 1;
+  });
+  const breakdown = Object.entries(formats).map(([ext, count]) => `${count} ${ext}`).join(', ');
+  log(`📂 Found ${files.length} transcript files${breakdown ? ` (${breakdown})` : ''}\n`);
+  
+  return files;
+}
+
+/**
+ * Read transcripts into episodes.json, segments.json and stats.json.
+ * 
+ * Options:
+ *   dataDir           where the output and manifest are written (default data/)
+ *   source / sources  transcript sources, as in pm-wisdom.config.json
+ *                     (default: clone the ChatPRD transcripts repository)
+ *   sample            write the built-in sample data instead
+ *   full              reprocess every transcript, ignoring the manifest
+ *   log               progress callback, e.g. console.log
+ *   warn              callback for skipped files and unreadable data (default: log)
+ * 
+ * Returns { episodes, segments, stats, changes, written }. When no transcript
+ * was added, changed or removed, nothing is rewritten and `written` is false.
+ * Throws a SourceError for an unusable source and a DataContractError,
+ * before writing anything, if the output breaks the contract.
+ */
+async function ingest(options = {}) {
+  const { dataDir = DEFAULT_DATA_DIR, log = () => {}, warn = log } = options;
+  fs.mkdirSync(dataDir, { recursive: true });
+  
+  if (options.sample) {
+    log('📝 Creating sample data for development...\n');
+    // Sample episodes replace whatever the manifest describes
+    saveManifest(dataDir, { fingerprint: null, files: {} });
+    return createSampleData(dataDir, log);
+  }
+  
+  // Resolve each transcript source (local directory, archive or git remote)
+  const sources = [];
+  for (const spec of listSources(options)) {
+    const source = prepareSource(spec, { log });
+    const files = await findTranscripts(source.episodesDir, { log, warn });
+    if (files.length === 0) {
+      throw new SourceError(`No transcripts found in ${source.episodesDir} (expected <guest>/transcript.md, .srt, .vtt or caption .json)`);
+    }
+    sources.push({ ...source, files });
+  }
+  
+  const episodesPath = path.join(dataDir, 'episodes.json');
+  const segmentsPath = path.join(dataDir, 'segments.json');
+  
+  // Load the previous run so unchanged transcripts can be carried over
+  const fingerprint = fingerprintFiles(INGEST_FILES);
+  const manifest = options.full
+    ? { fingerprint, files: {} }
+    : loadManifest(dataDir, fingerprint, warn);
+  const previousEpisodes = new Map(readJson(episodesPath, [], warn).map(e => [e.id, e]));
+  const previousSegments = new Map();
+  for (const segment of readJson(segmentsPath, [], warn)) {
+    if (!previousSegments.has(segment.episode_id)) previousSegments.set(segment.episode_id, []);
+    previousSegments.get(segment.episode_id).push(segment);
+  }
+  
+  // Process all transcripts
+  const episodes = [];
+  const allSegments = [];
+  const manifestFiles = {};
+  const changes = { added: [], changed: [], unchanged: [], removed: [] };
+  
+  const context = { guestRegistry: loadGuestRegistry(), metadata: loadEpisodeMetadata() };
+  const vocabulary = compileVocabulary(loadVocabulary());
+  const seenIds = new Map();
+  const claimId = (id, key) => {
+    if (!seenIds.has(id)) {
+      seenIds.set(id, key);
+      return true;
+    }
+    warn(`⚠️  Skipping ${key}: episode ${id} already comes from ${seenIds.get(id)}`);
+    return false;
+  };
+  
+  for (const { show, hosts, episodesDir, files } of sources) {
+    for (const file of files) {
+      // Tagged sources get their own manifest namespace, since folder names can repeat across shows
+      const relative = path.relative(episodesDir, file).replace(/\\/g, '/');
+      const key = show ? `${slugify(show)}/${relative}` : relative;
+      try {
+        const fileHash = hashContent(fs.readFileSync(file));
+        // Configured hosts decide who counts as a guest, so changing them re-parses the source
+        const hash = hosts ? hashContent(`${fileHash}:${hosts.join('\n')}`) : fileHash;
+        const previous = manifest.files[key];
+        const reusable = previous && previous.hash === hash &&
+          previousEpisodes.has(previous.episode_id) && previousSegments.has(previous.episode_id);
+        
+        if (reusable) {
+          if (!claimId(previous.episode_id, key)) continue;
+          episodes.push(previousEpisodes.get(previous.episode_id));
+          allSegments.push(...previousSegments.get(previous.episode_id));
+          manifestFiles[key] = previous;
+          changes.unchanged.push(previous.episode_id);
+          continue;
+        }
+        
+        const episode = parseTranscript(file, show, { ...context, hosts });
+        if (!claimId(episode.id, key)) continue;
+        episode.sponsor_ranges = detectSponsors(episode);
+        episode.topics = extractTopics(contentText(episode), vocabulary);
+        // Downstream caches key on this, so it must change when ingest logic does
+        episode.content_hash = hashContent(`${fingerprint}:${hash}`);
+        episodes.push(episode);
+        
+        const segments = chunkTranscript(episode);
+        allSegments.push(...segments);
+        
+        manifestFiles[key] = { hash, episode_id: episode.id };
+        changes[previous ? 'changed' : 'added'].push(episode.id);
+        log(`✅ Processed: ${episode.guest} - ${episode.title.slice(0, 50)}...`);
+      } catch (error) {
+        warn(`❌ Error processing ${file}: ${error.message}`);
+      }
+    }
+  }
+  
+  for (const [key, entry] of Object.entries(manifest.files)) {
+    if (!manifestFiles[key]) changes.removed.push(entry.episode_id);
+  }
+  
+  log(`\n♻️  ${changes.unchanged.length} unchanged, ${changes.added.length} new, ` +
+    `${changes.changed.length} changed, ${changes.removed.length} removed`);
+  
+  // Nothing to do: keep the files as they are, so later stages see no change
+  const statsPath = path.join(dataDir, 'stats.json');
+  const unchanged = changes.added.length + changes.changed.length + changes.removed.length === 0;
+  const previousStats = unchanged && manifest.fingerprint === fingerprint ? readJson(statsPath, null, warn) : null;
+  if (previousStats && episodes.length === previousEpisodes.size) {
+    log('\n✨ Nothing changed, data left as it was');
+    return { episodes, segments: allSegments, stats: previousStats, changes, written: false };
+  }
+  
+  // Sort episodes by view count (popularity)
+  episodes.sort((a, b) => (b.view_count || 0) - (a.view_count || 0));
+  
+  // Generate statistics
+  const stats = {
+    total_episodes: episodes.length,
+    total_segments: allSegments.length,
+    total_words: allSegments.reduce((sum, s) => sum + s.text.split(/\s+/).length, 0),
+    topics: {},
+    guests: uniqueGuests(episodes),
+    shows: {},
+    processed_at: new Date().toISOString(),
+  };
+  
+  // Count topic frequency and episodes per show
+  episodes.forEach(ep => {
+    ep.topics.forEach(topic => {
+      stats.topics[topic] = (stats.topics[topic] || 0) + 1;
+    });
+    stats.shows[ep.channel] = (stats.shows[ep.channel] || 0) + 1;
+  });
+  
+  // Check the output against the data contract before anything is written
+  assertValid('episodes', episodes);
+  assertValid('segments', allSegments);
+  assertValid('stats', stats);
+  
+  // Save episodes
+  fs.writeFileSync(episodesPath, JSON.stringify(episodes, null, 2));
+  log(`\n💾 Saved ${episodes.length} episodes to ${episodesPath}`);
+  
+  // Save segments
+  fs.writeFileSync(segmentsPath, JSON.stringify(allSegments, null, 2));
+  log(`💾 Saved ${allSegments.length} segments to ${segmentsPath}`);
+  
+  fs.writeFileSync(statsPath, JSON.stringify(stats, null, 2));
+  log(`💾 Saved statistics to ${statsPath}`);
+  
+  // Save the manifest last, so an interrupted run is never mistaken for a complete one
+  saveManifest(dataDir, {
+    fingerprint,
+    files: manifestFiles,
+    last_run: {
+      added: changes.added,
+      changed: changes.changed,
+      removed: changes.removed,
+      unchanged: changes.unchanged.length,
+    },
+    updated_at: stats.processed_at,
+  });
+  log(`💾 Saved manifest to ${path.join(dataDir, 'manifest.json')}`);
+  
+  return { episodes, segments: allSegments, stats, changes, written: true };
+}
+
+/**
+ * Create sample data for development/testing
+ */
+function createSampleData(dataDir, log = () => {}) {
+  const sampleEpisodes = [
+    {
+      id: 'lennys-podcast:brian-chesky',
+      guest: 'Brian Chesky',
+      title: 'The new playbook for building a product company',
+      youtube_url: 'https://www.youtube.com/watch?v=4ef0juAMqoE',
+      video_id: '4ef0juAMqoE',
+      description: 'Brian Chesky shares his contrarian approach to building Airbnb',
+      duration_seconds: 4428,
+      duration: '1:13:48',
+      view_count: 381905,
+      channel: "Lenny's Podcast",
+      topics: ['Leadership', 'Product Strategy', 'Founder Mode', 'Execution'],
+      transcript: `
+Lenny: Welcome Brian. You've been running Airbnb for over 15 years now. What's changed in how you think about building products?
+
+Brian Chesky: The biggest thing I've learned is that the best way to build a product company is to be in the details. I call this "founder mode." Most people tell founders to hire great people and get out of the way. I think that's wrong.
+
+When Steve Jobs came back to Apple, he didn't hire a CEO and step aside. He got into every detail. He reviewed every product. He knew every pixel.
+
+I used to think I needed to delegate everything. But the best products come from founders who stay close to the work. Not micromanaging, but being deeply involved in the creative process.
+
+Lenny: How do you balance that with scaling the company?
+
+Brian Chesky: You have to be really intentional about what you stay involved in. For me, it's product. I review every major feature before it ships. I do weekly design reviews.
+
+The key insight is that you can be in the details without being a bottleneck. You create systems - weekly reviews, design principles, clear criteria for what good looks like.
+
+I also do skip-level meetings regularly. I meet with people 2-3 levels down. Not to go around their managers, but to stay connected to what's really happening.
+
+Lenny: What about the "11-star experience" framework you've talked about?
+
+Brian Chesky: Right, so the idea is simple. If you want to build a 5-star experience, first imagine what a 10-star or 11-star experience would be. Make it absurdly great.
+
+For Airbnb, a 5-star experience might be: you book a nice apartment, it's clean, the host is friendly.
+
+An 11-star experience would be: Elon Musk meets you at the airport in a Tesla, takes you to your listing, which is a castle, and there's a private chef waiting.
+
+Now, you can't actually build an 11-star experience - it's too expensive. But by imagining it, you find the 6 or 7-star experience that you CAN build and that delights people.
+
+The exercise forces you to think bigger. Most people optimize a 4-star experience to make it slightly better. We want to reimagine what's possible.
+
+Lenny: That's fascinating. How do you apply this to hiring?
+
+Brian Chesky: I believe in hiring fewer people but paying them more. We probably have half the employees of similar companies, but we pay top of market.
+
+And I interview every designer and senior PM personally. Not to approve them, but because I want to know everyone who's building our product.
+
+The other thing is hiring "doers" early on, not managers. In the first 10 employees, everyone should be building. You don't need managers yet.
+      `.trim(),
+      folder: 'brian-chesky',
+    },
+    {
+      id: 'lennys-podcast:shreyas-doshi',
+      guest: 'Shreyas Doshi',
+      title: 'The LNO framework, pre-mortems, and high-agency execution',
+      youtube_url: 'https://www.youtube.com/watch?v=aA9HKslJ0h0',
+      video_id: 'aA9HKslJ0h0',
+      description: 'Shreyas shares his most impactful frameworks for product management',
+      duration_seconds: 5400,
+      duration: '1:30:00',
+      view_count: 456000,
+      channel: "Lenny's Podcast",
+      topics: ['Frameworks', 'Prioritization', 'Execution', 'Career'],
+      transcript: `
+Lenny: You've created so many frameworks that PMs use. Let's start with LNO. Can you explain it?
+
+Shreyas Doshi: LNO stands for Leverage, Neutral, and Overhead. It's a way to categorize your tasks by impact.
+
+Leverage tasks are the 10-20% of things that create disproportionate value. These might be the strategic decisions, the key conversations, the work that moves the needle.
+
+Neutral tasks are the 60-70% - necessary work that maintains the status quo. Status updates, regular meetings, documentation.
+
+Overhead is the 10-20% that's pure waste. Formatting slides, unnecessary meetings, tasks that could be automated or eliminated.
+
+The insight is that most people spend too much time on Neutral and Overhead, and not enough on Leverage. They feel busy but don't move things forward.
+
+Lenny: How do you identify Leverage tasks?
+
+Shreyas Doshi: Ask yourself: if I only had 2 hours today, what would I do? That's probably your highest leverage work.
+
+Another way: what task, if done well, would make other tasks unnecessary? That's Leverage.
+
+The problem is Leverage tasks are often uncomfortable. They require thinking, confrontation, decisions. So we escape into Neutral tasks that feel productive but aren't.
+
+Lenny: Tell me about pre-mortems.
+
+Shreyas Doshi: A pre-mortem is simple but powerful. Before you start a project, imagine it's 6 months later and the project has failed. Now, write down all the reasons why it failed.
+
+It's easier to predict failure in hindsight than to predict success. By imagining the project has failed, you surface risks you wouldn't otherwise think about.
+
+Then you address those risks upfront. Maybe you realize the biggest risk is unclear requirements, so you invest more in discovery. Or the risk is a key dependency, so you de-risk that early.
+
+Lenny: You talk a lot about "high agency." What does that mean?
+
+Shreyas Doshi: High agency means you believe you can affect outcomes regardless of circumstances. You don't wait for permission. You don't blame external factors.
+
+Low agency people say "I couldn't do X because of Y." High agency people say "Despite Y, I found a way to do X."
+
+The best PMs I've worked with are relentlessly high agency. When they hit obstacles, they find creative solutions. They don't accept "that's just how it is."
+
+The good news is agency is learnable. You build it by taking action, seeing results, and expanding your sense of what's possible.
+
+Lenny: How does this relate to being opinionated?
+
+Shreyas Doshi: High agency PMs are opinionated about the product. They have a point of view. They're not just facilitators waiting for consensus.
+
+This doesn't mean being a dictator. You listen, you consider other views, you might be wrong. But you have a perspective and you advocate for it.
+
+Too many PMs are "political" in the wrong way - they figure out what their manager wants and advocate for that. That's low agency. High agency means advocating for what you believe is right.
+      `.trim(),
+      folder: 'shreyas-doshi',
+    },
+    {
+      id: 'lennys-podcast:april-dunford',
+      guest: 'April Dunford',
+      title: 'Positioning: How to make your product stand out',
+      youtube_url: 'https://www.youtube.com/watch?v=MHZpLNwj6Gc',
+      video_id: 'MHZpLNwj6Gc',
+      description: 'April shares her framework for product positioning',
+      duration_seconds: 4200,
+      duration: '1:10:00',
+      view_count: 234000,
+      channel: "Lenny's Podcast",
+      topics: ['Positioning', 'Marketing', 'Go-to-Market', 'B2B'],
+      transcript: `
+Lenny: Let's talk about positioning. What exactly is it?
+
+April Dunford: Positioning is context setting. It's how you define what your product is, who it's for, and why they should care.
+
+Think about it like walking into a grocery store. If I hand you a bottle with no label, you don't know if it's water, vodka, or cleaning fluid. The label provides context that shapes your expectations.
+
+Products are the same. Your positioning tells customers how to think about your product. Without good positioning, customers either ignore you or misunderstand you.
+
+Lenny: What's your framework for positioning?
+
+April Dunford: There are 5 components:
+
+First, competitive alternatives. What would customers use if you didn't exist? This isn't always direct competitors - sometimes it's spreadsheets, manual processes, or doing nothing.
+
+Second, unique attributes. What do you have that alternatives don't? Be specific and honest.
+
+Third, value. Why do those unique attributes matter to customers? Connect features to outcomes.
+
+Fourth, target market. Who cares most about your value? Start narrow - the customers who absolutely need what you offer.
+
+Fifth, market category. What type of product are you? This sets expectations and determines who you're compared to.
+
+Lenny: Can you give an example?
+
+April Dunford: Sure. Let's say you have a database product that's really fast for analytics workloads.
+
+Competitive alternative might be traditional databases like PostgreSQL.
+
+Unique attribute: 10x faster for analytics queries.
+
+Value: Get insights faster, make better decisions.
+
+Target market: Data teams at mid-size companies with big analytical workloads.
+
+Market category: This is where it gets interesting. You could position as a "database" and compete with Postgres. Or as an "analytics platform" and compete with Looker. Or as a "data warehouse" and compete with Snowflake.
+
+Each choice changes who you're compared to and what customers expect.
+
+Lenny: How do you know if your positioning is wrong?
+
+April Dunford: The biggest sign is when customers "get it" only after a long explanation. If you have to spend 30 minutes explaining what you do, your positioning isn't working.
+
+Another sign: customers compare you to the wrong things. If they keep saying "oh, you're like X" and X is completely wrong, you have a positioning problem.
+
+The fix is usually to get clearer on who your best customers are. Find the people who love you and understand why. Your positioning should be built around what makes you special to them, not what you think makes you special in general.
+      `.trim(),
+      folder: 'april-dunford',
+    },
+    {
+      id: 'lennys-podcast:elena-verna',
+      guest: 'Elena Verna',
+      title: 'PLG, product-led sales, and growth loops',
+      youtube_url: 'https://www.youtube.com/watch?v=utWr9sqNtHU',
+      video_id: 'utWr9sqNtHU',
+      description: 'Elena shares her expertise on product-led growth',
+      duration_seconds: 5400,
+      duration: '1:30:00',
+      view_count: 267000,
+      channel: "Lenny's Podcast",
+      topics: ['PLG', 'Growth', 'B2B', 'Freemium'],
+      transcript: `
+Lenny: Let's start with the basics. What is PLG?
+
+Elena Verna: PLG - Product-Led Growth - is a go-to-market motion where the product is the primary driver of acquisition, conversion, and expansion.
+
+But here's the thing people get wrong: PLG is not a business model. It's a motion. You can be PLG and still have a sales team. You can be PLG and charge money. It's about how you acquire and convert customers, not whether you charge.
+
+Lenny: How is it different from traditional SaaS?
+
+Elena Verna: In traditional SaaS, the sales team is the front door. They reach out, demo, negotiate, close. The product comes after the sale.
+
+In PLG, the product is the front door. Users sign up, try the product, experience value, and then maybe talk to sales for enterprise features.
+
+The key difference is time-to-value. In PLG, users get value before talking to anyone. In sales-led, value is promised but delivered later.
+
+Lenny: What about freemium vs free trial?
+
+Elena Verna: This is a big decision. Free trial gives full access for limited time. Freemium gives limited access for unlimited time.
+
+My general advice: freemium usually wins. Here's why.
+
+With a free trial, you're creating urgency. But urgency only works if users experience value quickly. Most products take time to learn. A 14-day trial isn't enough.
+
+With freemium, users can take their time. They build habits. They integrate you into their workflow. Then they hit a limit and upgrade.
+
+The exception is products with immediate, obvious value. If someone can experience your full value in one session, free trial works.
+
+Lenny: You've talked about product-led sales. What's that?
+
+Elena Verna: Product-led sales is when your sales team focuses on users who've already shown intent through product usage.
+
+Instead of cold outreach, sales sees: "This company has 50 users, they've hit our collaboration limits 3 times, they've viewed our enterprise page." That's a qualified lead.
+
+It's the best of both worlds. Self-serve for smaller customers and those who prefer it. Sales for larger customers and complex deals. But sales is helping convert existing users, not finding new ones.
+
+Lenny: How do you know if PLG is right for your product?
+
+Elena Verna: Ask these questions:
+
+Can users experience meaningful value without help? If your product requires implementation or training, PLG is harder.
+
+Is your target buyer also the user? If you're selling to CIOs who don't use the product themselves, PLG is harder.
+
+Can the product spread virally within an organization? Best PLG products have natural collaboration or sharing.
+
+Not everything should be PLG. Complex enterprise software, high-touch professional services - traditional sales can work better.
+
+But if you CAN be PLG, you probably should. The economics are better. Customer acquisition cost is lower. Customers who convert through product usage retain better.
+      `.trim(),
+      folder: 'elena-verna',
+    },
+    {
+      id: 'lennys-podcast:marty-cagan',
+      guest: 'Marty Cagan',
+      title: 'Empowered product teams vs feature teams',
+      youtube_url: 'https://www.youtube.com/watch?v=6brcYFNlS3I',
+      video_id: '6brcYFNlS3I',
+      description: 'Marty explains what makes great product teams',
+      duration_seconds: 4800,
+      duration: '1:20:00',
+      view_count: 345000,
+      channel: "Lenny's Podcast",
+      topics: ['Product Teams', 'Empowerment', 'Leadership', 'Discovery'],
+      transcript: `
+Lenny: You make a strong distinction between product teams and feature teams. What's the difference?
+
+Marty Cagan: A feature team is told what to build. They're given requirements, specs, a roadmap. Their job is to ship features on time.
+
+An empowered product team is given problems to solve. They're given outcomes to achieve. How they achieve those outcomes is up to them.
+
+The difference is profound. Feature teams are executing someone else's ideas. Empowered teams are discovering and delivering solutions.
+
+Lenny: Why does this matter?
+
+Marty Cagan: Because the best ideas rarely come from executives making roadmaps. They come from engineers and designers who are close to the technology and the users.
+
+When you have feature teams, you waste that potential. Smart people are reduced to coding specs they had no input on.
+
+When you have empowered teams, you unlock that potential. Smart people apply their expertise to finding the best solution.
+
+Lenny: How do you empower a team?
+
+Marty Cagan: First, give them a meaningful outcome to own. Not "build feature X" but "improve conversion from trial to paid by 20%."
+
+Second, give them context. They need to understand the strategy, the customers, the constraints. Otherwise they can't make good decisions.
+
+Third, give them trust. Let them fail. Let them explore. Don't second-guess every decision.
+
+Fourth, give them time. Discovery takes time. Innovation takes time. If they're 100% in delivery mode, there's no space for creativity.
+
+Lenny: What about discovery? You've said it's the most important PM skill.
+
+Marty Cagan: Discovery is figuring out what to build. It's answering: is this problem worth solving? Will our solution actually solve it? Can we build it? Will people buy it?
+
+Most teams skip discovery and jump to delivery. They assume the requirements are right. They assume their solution will work.
+
+Then they spend 6 months building something nobody wants. That's the most expensive kind of failure.
+
+Good discovery involves rapid experimentation. Prototypes, user tests, data analysis. You want to learn fast and cheap, before you build slow and expensive.
+
+Lenny: Some teams say they don't have time for discovery.
+
+Marty Cagan: That's backwards. Teams that don't do discovery waste time building the wrong things.
+
+Think about it: if you spend 2 weeks doing discovery and avoid building the wrong feature, you've saved months.
+
+The teams that claim they don't have time are usually the busiest teams, shipping the most features, having the least impact. They're efficient at the wrong things.
+      `.trim(),
+      folder: 'marty-cagan',
+    },
+  ];
+  
+  // Same shape as entries in config/metadata.json
+  const sampleMetadata = {
+    'lennys-podcast:brian-chesky': { published_at: '2023-11-12', role: 'Co-founder & CEO', company: 'Airbnb' },
+    'lennys-podcast:shreyas-doshi': { published_at: '2022-08-14', role: 'Product leader', company: 'Stripe' },
+    'lennys-podcast:april-dunford': { published_at: '2022-04-10', role: 'Positioning consultant', company: 'Ambient Strategy' },
+    'lennys-podcast:elena-verna': { published_at: '2023-03-05', role: 'Head of Growth', company: 'Amplitude' },
+    'lennys-podcast:marty-cagan': { published_at: '2024-01-21', role: 'Partner', company: 'Silicon Valley Product Group' },
+  };
+  
+  // Process and save sample data
+  const allSegments = [];
+  const guestRegistry = loadGuestRegistry();
+  sampleEpisodes.forEach(episode => {
+    episode.guests = resolveGuests(episode.guest, guestRegistry);
+    episode.turns = parseTurns(episode.transcript);
+    enrichEpisode(episode, {}, sampleMetadata[episode.id]);
+    episode.sponsor_ranges = detectSponsors(episode);
+    const segments = chunkTranscript(episode);
+    allSegments.push(...segments);
+  });
+  
+  // Build stats
+  const stats = {
+    total_episodes: sampleEpisodes.length,
+    total_segments: allSegments.length,
+    topics: {},
+    guests: uniqueGuests(sampleEpisodes),
+    shows: { [DEFAULT_SHOW]: sampleEpisodes.length },
+    is_sample_data: true,
+    processed_at: new Date().toISOString(),
+  };
+  
+  sampleEpisodes.forEach(ep => {
+    ep.topics.forEach(topic => {
+      stats.topics[topic] = (stats.topics[topic] || 0) + 1;
+    });
+  });
+  
+  assertValid('episodes', sampleEpisodes);
+  assertValid('segments', allSegments);
+  assertValid('stats', stats);
+  
+  // Save sample episodes
+  fs.writeFileSync(
+    path.join(dataDir, 'episodes.json'),
+    JSON.stringify(sampleEpisodes, null, 2)
+  );
+  
+  // Save sample segments
+  fs.writeFileSync(
+    path.join(dataDir, 'segments.json'),
+    JSON.stringify(allSegments, null, 2)
+  );
+  
+  // Save stats
+  fs.writeFileSync(
+    path.join(dataDir, 'stats.json'),
+    JSON.stringify(stats, null, 2)
+  );
+  
+  log(`✅ Created sample data with ${sampleEpisodes.length} episodes`);
+  log(`💾 Saved to ${dataDir}`);
+  log('\n📋 Sample data includes:');
+  sampleEpisodes.forEach(ep => {
+    log(`   • ${ep.guest}: ${ep.title}`);
+  });
+  
+  const changes = { added: sampleEpisodes.map(ep => ep.id), changed: [], unchanged: [], removed: [] };
+  return { episodes: sampleEpisodes, segments: allSegments, stats, changes, written: true };
+}
+
+module.exports = {
+  DEFAULT_DATA_DIR,
+  INGEST_FILES,
+  SourceError,
+  parseTranscript,
+  chunkTranscript,
+  extractTopics,
+  findTranscripts,
+  ingest,
+};
@@ -0,0 +1,192 @@
+/**
+ * PM Wisdom Engine - Insights
+ *
+ * Finds quotable lines: guest sentences that open with a phrase like "the
+ * key lesson is" or "my advice would be". Host lines and sponsor reads are
+ * skipped and speaker labels and timestamps stripped. Each insight gets
+ * the guest who says it, the time they say it, its topic and a
+ * quotability score, and
+ * near-duplicates (a guest repeating themselves, a rerun episode) are
+ * merged, best first.
+ */
+
+const { contentText } = require('./sponsors');
+const { findTopics } = require('./vocabulary');
+const { turnClock, stripTurnHeaders } = require('./turns');
+const { speakerGuest } = require('./guests');
+
+// Phrases that open an insight
+const INSIGHT_PATTERNS = [
+  /the (key|biggest|most important) (thing|insight|lesson|learning) is/i,
+  /what I('ve| have) learned is/i,
+  /my advice (would be|is)/i,
+  /the secret (to|is)/i,
+  /here'?s (the thing|what works)/i,
+  /the truth is/i,
+  /I (always|often) (tell|say to) (people|teams|founders)/i,
+];
+
+const HEADING = /(?:^|\n)[ \t]*#{1,6}[ \t][^\n]*/g;
+const TIMESTAMP = /[([]?\b\d{1,2}:\d{2}(?::\d{2})?\b[)\]]?/g;
+const FILLER_START = /^(?:(?:and|so|but|um+|uh+|yeah|yes|okay|ok|well|like|look|honestly|i mean)\b[,\s]*)+/i;
+// Openers that lean on what came before ("They think...", "That's why...")
+const DEPENDENT_START = /^(?:they|it|that|this|these|those|he|she|him|her|which|then|also|because)\b/i;
+const HEDGES = /\b(?:you know|kind of|sort of|i guess|i don't know|um+|uh+|like,)\b/gi;
+const ACTIONABLE = /\b(?:you (?:should|have to|need to|must|want to|can)|don't|do not|never|always|start|stop|focus|make sure|ask yourself|try to|instead of|if you|the best way|the only way|is to)\b/gi;
+
+// Below this score a line isn't worth quoting
+const MIN_QUALITY = 0.5;
+// Word overlap at which two insights count as the same one
+const DUPLICATE_SIMILARITY = 0.6;
+
+/**
+ * Transcript text as one line, without markdown headings, speaker labels
+ * or timestamps. Labels are found the way turns.js finds them, so a
+ * `Name: text` label only goes when the name heads two turns in the text
+ * given; strip a whole transcript's labels first (see stripTurnHeaders).
+ */
+function stripLabels(text) {
+  return stripTurnHeaders(text).replace(HEADING, ' ').replace(TIMESTAMP, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Tidy a line for quoting: one line, no labels, timestamps or filler, a
+ * capital first letter and closing punctuation
+ */
+function cleanInsight(text) {
+  let clean = stripLabels(text);
+  clean = clean.replace(FILLER_START, '').trim();
+  if (!clean) return '';
+  clean = clean[0].toUpperCase() + clean.slice(1);
+  return /[.!?…"”]$/.test(clean) ? clean : `${clean}.`;
+}
+
+/**
+ * Quotability from 0 to 1: a length that reads as a quote, whether it
+ * stands on its own and whether it tells you what to do
+ */
+function scoreInsight(text) {
+  const length = text.length;
+  const lengthScore = length < 40 ? 0.2 : length < 60 ? 0.5 : length <= 220 ? 1 : length <= 350 ? 0.7 : 0.4;
+
+  let standalone = 1;
+  if (DEPENDENT_START.test(text)) standalone -= 0.5;
+  if (/\?$/.test(text) || /:$/.test(text)) standalone -= 0.3;
+  standalone -= 0.25 * (text.match(HEDGES) || []).length;
+  // Nothing said after the opening phrase
+  const trigger = INSIGHT_PATTERNS.map(pattern => text.match(pattern)).find(Boolean);
+  if (trigger && text.slice(trigger.index + trigger[0].length).split(/\s+/).filter(Boolean).length < 4) standalone -= 0.5;
+
+  const actions = new Set((text.match(ACTIONABLE) || []).map(word => word.toLowerCase())).size;
+  const actionScore = Math.min(1, 0.3 + 0.35 * actions);
+
+  const score = 0.35 * lengthScore + 0.35 * Math.max(0, standalone) + 0.3 * actionScore;
+  return Math.round(score * 100) / 100;
+}
+
+/**
+ * What was said in an episode, as { text, guest, timeAt } units without
+ * host lines: speaker turns where ingest recorded them, otherwise the
+ * transcript. guest is the person speaking, null when it can't be told;
+ * timeAt(words) is the time after that many words (see turnClock).
+ */
+function spokenUnits(episode, options) {
+  const turns = episode.turns || [];
+  const people = episode.guests || [];
+  const credited = people.length === 1 ? people[0] : null;
+  if (turns.length === 0) {
+    return [{ text: stripTurnHeaders(contentText(episode, options)), guest: credited, timeAt: () => null }];
+  }
+  return turns
+    .map((turn, i) => ({ turn, i }))
+    .filter(({ turn }) => turn.role !== 'host' && (options.includeSponsors || !turn.sponsor))
+    .map(({ turn, i }) => ({
+      text: turn.text || '',
+      guest: turn.speaker ? speakerGuest(people, turn.speaker) : credited,
+      timeAt: turnClock(turns, i, episode.duration_seconds),
+    }));
+}
+
+/**
+ * Extract key insights and quotes.
+ * options.vocabulary (compiled, see vocabulary.js) tags each with a topic.
+ */
+function extractEpisodeInsights(episode, options = {}) {
+  const insights = [];
+
+  for (const unit of spokenUnits(episode, options)) {
+    const sentences = unit.text.replace(/\s+/g, ' ').trim().split(/(?<=[.!?])\s+/);
+    let wordsBefore = 0;
+    for (let i = 0; i < sentences.length; i++) {
+      const at = unit.timeAt(wordsBefore);
+      wordsBefore += sentences[i].split(' ').filter(Boolean).length;
+      if (!INSIGHT_PATTERNS.some(pattern => pattern.test(sentences[i]))) continue;
+      let text = sentences[i];
+      // "Here's the thing." needs the sentence that says what the thing is
+      const trigger = INSIGHT_PATTERNS.map(pattern => text.match(pattern)).find(Boolean);
+      if (sentences[i + 1] && text.slice(trigger.index + trigger[0].length).split(/\s+/).filter(Boolean).length < 4) {
+        text = `${text} ${sentences[i + 1]}`;
+      }
+      text = cleanInsight(text);
+      if (text.length <= 30 || text.length >= 500) continue;
+
+      const score = scoreInsight(text);
+      if (score < MIN_QUALITY) continue;
+      const topics = findTopics(options.vocabulary, text);
+      insights.push({
+        text,
+        episode_id: episode.id,
+        guest: unit.guest ? unit.guest.name : episode.guest,
+        guest_id: unit.guest ? unit.guest.id : null,
+        estimated_time: at == null ? null : Math.floor(at),
+        topic: topics.length > 0 ? topics[0].topic : (episode.topics || [])[0] || null,
+        score,
+      });
+    }
+  }
+
+  return insights;
+}
+
+function wordSet(text) {
+  return new Set(text.toLowerCase().match(/[a-z0-9']+/g) || []);
+}
+
+/**
+ * Word overlap between two insights (Jaccard), or 1 when one contains the other
+ */
+function similarity(a, b) {
+  let shared = 0;
+  for (const word of a) if (b.has(word)) shared++;
+  if (shared === Math.min(a.size, b.size)) return 1;
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Merge near-duplicate insights, keeping the best scored of each group,
+ * best first. The kept insight lists the other episodes it was said in.
+ */
+function dedupeInsights(insights) {
+  const kept = [];
+  const sorted = [...insights].sort((a, b) => b.score - a.score || a.episode_id.localeCompare(b.episode_id));
+  for (const insight of sorted) {
+    const words = wordSet(insight.text);
+    const same = kept.find(k => similarity(k.words, words) >= DUPLICATE_SIMILARITY);
+    if (!same) {
+      kept.push({ insight: { ...insight }, words });
+    } else if (same.insight.episode_id !== insight.episode_id) {
+      const alsoIn = same.insight.also_in || [];
+      if (!alsoIn.includes(insight.episode_id)) same.insight.also_in = [...alsoIn, insight.episode_id];
+    }
+  }
+  return kept.map(k => k.insight);
+}
+
+module.exports = {
+  INSIGHT_PATTERNS,
+  stripLabels,
+  cleanInsight,
+  scoreInsight,
+  extractEpisodeInsights,
+  dedupeInsights,
+};
@@ -0,0 +1,165 @@
+/**
+ * PM Wisdom Engine - Episode Metadata
+ *
+ * Fills in each episode's publish date and every guest's role and company.
+ * Sources, first match wins:
+ *
+ *   1. Front matter (publish_date, guest_role, guest_company, ...)
+ *   2. The local metadata file, config/metadata.json, keyed by episode ID,
+ *      folder or video ID:
+ *        { "lennys-podcast:brian-chesky": { "published_at": "2023-11-12",
+ *            "role": "Co-founder & CEO", "company": "Airbnb" } }
+ *      Multi-guest episodes can set people separately under "guests":
+ *        { "guests": { "hamel-husain": { "role": "...", "company": "..." } } }
+ *   3. The host's intro ("Brian is the co-founder and CEO of Airbnb")
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_METADATA_FILE = path.join(__dirname, '../config/metadata.json');
+
+const DATE_FIELDS = ['published_at', 'publish_date', 'published', 'upload_date', 'uploadDate', 'publishDate', 'date'];
+const ROLE_FIELDS = ['guest_role', 'role', 'guest_title'];
+const COMPANY_FIELDS = ['guest_company', 'company', 'affiliation'];
+
+// Job titles an intro may give a guest, in lowercase
+const ROLES = [
+  'co-?founder', 'founder', 'ceo', 'cto', 'cpo', 'coo', 'cmo', 'chief [a-z]+ officer', 'president',
+  '(?:senior |executive )?vice president(?: of [a-z]+)?', 's?vp(?: of [a-z]+)?', 'head of [a-z]+(?: [a-z]+)?',
+  '(?:senior )?director(?: of [a-z]+)?', 'general manager', '(?:senior |principal |group |staff |lead )?product (?:manager|lead|leader)',
+  '(?:general |managing )?partner', 'investor', 'professor', 'engineer', 'designer', 'researcher', 'advisor',
+];
+const ROLE = `(?:${ROLES.join('|')})`;
+const INTRO_PATTERN = new RegExp(
+  `\\b(?:is|was|as|currently)\\s+(?:(?:now|previously|formerly)\\s+)?(?:the\\s+|a\\s+|an\\s+)?((?:former\\s+)?${ROLE}(?:\\s*(?:,|and|&)\\s*${ROLE})*)\\s+(?:at|of)\\s+([A-Z0-9][\\w&.'-]*(?:\\s+[\\w&.'-]+){0,3})`,
+  'gi'
+);
+const INTRO_SHARE = 0.15; // Hosts introduce guests in roughly the first 15% of an episode
+
+/**
+ * First non-empty value among a record's fields
+ */
+function pick(record, fields) {
+  for (const field of fields) {
+    const value = record && record[field];
+    if (value !== undefined && value !== null && value !== '') return value;
+  }
+  return undefined;
+}
+
+/**
+ * Normalize a date (Date, "2023-11-12", "20231112", "Nov 12, 2023") to YYYY-MM-DD
+ */
+function normalizeDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+  }
+
+  const text = String(value).trim();
+  const compact = text.match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (compact) return `${compact[1]}-${compact[2]}-${compact[3]}`;
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10);
+
+  const parsed = new Date(`${text} UTC`);
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString().slice(0, 10);
+}
+
+/**
+ * Load the local metadata file. A missing file gives an empty table.
+ */
+function loadEpisodeMetadata(filePath = DEFAULT_METADATA_FILE) {
+  if (!fs.existsSync(filePath)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Could not parse ${path.basename(filePath)}: ${error.message}`);
+  }
+}
+
+/**
+ * Metadata file entry for an episode, by ID, folder or video ID
+ */
+function metadataFor(episode, table) {
+  return table[episode.id] || table[episode.folder] || (episode.video_id && table[episode.video_id]) || {};
+}
+
+/**
+ * Company name from an intro match: the capitalized words up to the first lowercase one
+ */
+function trimCompany(text) {
+  const words = [];
+  for (const word of text.split(/\s+/)) {
+    if (!/^[A-Z0-9&]/.test(word)) break;
+    words.push(word);
+  }
+  return words.join(' ').replace(/[.,'’]+$|['’]s$/g, '');
+}
+
+/**
+ * Capitalize a role found in running text ("co-founder and CEO" -> "Co-founder and CEO")
+ */
+function formatRole(role) {
+  return role
+    .replace(/\s+/g, ' ')
+    .replace(/\b(ceo|cto|cpo|coo|cmo|vp|svp)\b/gi, match => match.toUpperCase())
+    .replace(/^./, c => c.toUpperCase());
+}
+
+/**
+ * Find "<person> is the <role> at/of <Company>" in the host's opening turns
+ */
+function findIntroAffiliation(episode, person) {
+  const transcript = episode.transcript || '';
+  const cutoff = transcript.length * INTRO_SHARE;
+  const turns = (episode.turns || []).filter(turn => turn.role === 'host' && turn.offset <= cutoff);
+  const intro = turns.length > 0 ? turns.map(turn => turn.text).join('\n') : transcript.slice(0, cutoff);
+
+  // A match belongs to whichever guest was named (first or last name) most recently before it
+  const nameParts = guest => guest.name.split(/\s+/).filter(part => part.length > 2);
+  const lastMention = (text, guest) => Math.max(-1, ...nameParts(guest).map(part => text.lastIndexOf(part)));
+  for (const sentence of intro.split(/(?<=[.!?])\s+/)) {
+    for (const match of sentence.matchAll(INTRO_PATTERN)) {
+      const before = sentence.slice(0, match.index);
+      const own = lastMention(before, person);
+      if (own === -1 || episode.guests.some(other => other.id !== person.id && lastMention(before, other) > own)) continue;
+
+      const company = trimCompany(match[2]);
+      if (company) return { role: formatRole(match[1]), company };
+    }
+  }
+  return {};
+}
+
+/**
+ * Set episode.published_at and each guest's role and company.
+ * `frontmatter` is the transcript's own metadata; `entry` its metadata file entry.
+ */
+function enrichEpisode(episode, frontmatter = {}, entry = {}) {
+  episode.published_at = normalizeDate(pick(frontmatter, DATE_FIELDS)) || normalizeDate(pick(entry, DATE_FIELDS));
+
+  const single = episode.guests.length === 1;
+  episode.guests = episode.guests.map(person => {
+    const own = (entry.guests || {})[person.id] || {};
+    const role = pick(own, ROLE_FIELDS) || (single && (pick(frontmatter, ROLE_FIELDS) || pick(entry, ROLE_FIELDS)));
+    const company = pick(own, COMPANY_FIELDS) || (single && (pick(frontmatter, COMPANY_FIELDS) || pick(entry, COMPANY_FIELDS)));
+    const intro = role && company ? {} : findIntroAffiliation(episode, person);
+
+    const enriched = { id: person.id, name: person.name };
+    if (role || intro.role) enriched.role = String(role || intro.role);
+    if (company || intro.company) enriched.company = String(company || intro.company);
+    return enriched;
+  });
+
+  return episode;
+}
+
+module.exports = {
+  DEFAULT_METADATA_FILE,
+  normalizeDate,
+  loadEpisodeMetadata,
+  metadataFor,
+  findIntroAffiliation,
+  enrichEpisode,
+};
@@ -0,0 +1,319 @@
+/**
+ * PM Wisdom Engine - Pipeline
+ *
+ * Runs the stages in dependency order:
+ *
+ *   ingest ─┬─ extract ─── graph ──┬─ build
+ *           ├─ contradictions ─────┘
+ *           └─ discover
+ *
+ * A stage is skipped when the files it reads, the code that implements it
+ * and the settings that shape its output all hash the same as on its last
+ * run, and its outputs are still the files it wrote. Ingest checks its
+ * transcripts itself (data/manifest.json) and leaves its files untouched
+ * when none changed, so the stages after it are skipped too.
+ *
+ * Every run writes data/run-report.json: what ran and why, timings, counts,
+ * warnings and what changed since the previous run.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { hashContent, fingerprintFiles, readJson } = require('./incremental');
+const { ingest, INGEST_FILES } = require('./ingest');
+const { extractFrameworks } = require('./frameworks');
+const { buildFrameworkGraph, GRAPH_FILE } = require('./framework-graph');
+const { findContradictions } = require('./contradictions');
+const { discoverFrameworks, CANDIDATES_FILE } = require('./discovery');
+const { buildApp, APP_LIBS } = require('./build');
+const { DEFAULT_VOCABULARY_FILE } = require('./vocabulary');
+const { DEFAULT_FRAMEWORKS_FILE } = require('./framework-registry');
+
+const DEFAULT_DIRS = {
+  dataDir: path.join(__dirname, '../data'),
+  srcDir: path.join(__dirname, '../src'),
+  outputDir: path.join(__dirname, '../dist'),
+};
+const REPORT_FILE = 'run-report.json';
+
+const STAGES = [
+  {
+    name: 'ingest',
+    needs: [],
+    outputs: ({ dataDir }) => ['episodes', 'segments', 'stats'].map(file => path.join(dataDir, `${file}.json`)),
+    async run(options, hooks) {
+      const { episodes, segments, changes, written } = await ingest({ ...options, ...hooks });
+      return {
+        skipped: !written && 'No transcript added, changed or removed',
+        counts: {
+          episodes: episodes.length,
+          segments: segments.length,
+          added: changes.added.length,
+          changed: changes.changed.length,
+          removed: changes.removed.length,
+        },
+      };
+    },
+  },
+  {
+    name: 'extract',
+    needs: ['ingest'],
+    inputs: ({ dataDir, registryFile = DEFAULT_FRAMEWORKS_FILE }) => [path.join(dataDir, 'episodes.json'), registryFile, DEFAULT_VOCABULARY_FILE],
+    code: ['./frameworks', './insights', './framework-registry', './vocabulary', './sponsors', './validate'],
+    settings: options => ({ includeSponsors: Boolean(options.includeSponsors) }),
+    outputs: ({ dataDir }) => ['frameworks', 'insights'].map(file => path.join(dataDir, `${file}.json`)),
+    run(options, hooks) {
+      const { frameworks, insights } = extractFrameworks({ ...options, ...hooks });
+      return { counts: { frameworks: frameworks.length, insights: insights.length } };
+    },
+  },
+  {
+    name: 'graph',
+    needs: ['extract'],
+    inputs: ({ dataDir, registryFile = DEFAULT_FRAMEWORKS_FILE }) => [path.join(dataDir, 'frameworks.json'), path.join(dataDir, 'segments.json'), registryFile],
+    code: ['./framework-graph', './frameworks', './framework-registry', './validate'],
+    settings: options => ({ includeSponsors: Boolean(options.includeSponsors) }),
+    outputs: ({ dataDir }) => [path.join(dataDir, GRAPH_FILE)],
+    run(options, hooks) {
+      const { edges } = buildFrameworkGraph({ ...options, ...hooks });
+      return { counts: { connections: edges.length } };
+    },
+  },
+  {
+    name: 'contradictions',
+    needs: ['ingest'],
+    inputs: ({ dataDir }) => [path.join(dataDir, 'episodes.json')],
+    code: ['./contradictions', './sponsors', './validate'],
+    settings: options => ({ includeSponsors: Boolean(options.includeSponsors) }),
+    outputs: ({ dataDir }) => [path.join(dataDir, 'contradictions.json')],
+    run(options, hooks) {
+      const { contradictions } = findContradictions({ ...options, ...hooks });
+      return { counts: { debates: contradictions.length } };
+    },
+  },
+  {
+    name: 'discover',
+    needs: ['ingest'],
+    inputs: ({ dataDir, registryFile = DEFAULT_FRAMEWORKS_FILE }) => [path.join(dataDir, 'episodes.json'), registryFile],
+    code: ['./discovery', './framework-registry', './sponsors', './validate'],
+    settings: options => ({ includeSponsors: Boolean(options.includeSponsors) }),
+    outputs: ({ dataDir }) => [path.join(dataDir, CANDIDATES_FILE)],
+    run(options, hooks) {
+      const { candidates } = discoverFrameworks({ ...options, ...hooks });
+      return { counts: { candidates: candidates.length } };
+    },
+  },
+  {
+    name: 'build',
+    needs: ['extract', 'graph', 'contradictions'],
+    inputs: ({ dataDir, srcDir, registryFile = DEFAULT_FRAMEWORKS_FILE }) => ['episodes', 'segments', 'frameworks', 'framework-graph', 'contradictions', 'insights', 'stats']
+      .map(file => path.join(dataDir, `${file}.json`))
+      .concat(path.join(srcDir, 'app.html'), DEFAULT_VOCABULARY_FILE, registryFile),
+    code: ['./build', './framework-registry', './validate', ...APP_LIBS],
+    outputs: ({ outputDir }) => [path.join(outputDir, 'pm-wisdom-engine.html')],
+    run(options, hooks) {
+      const { size } = buildApp({ ...options, ...hooks });
+      return { counts: { size_kb: Math.round(size / 1024) } };
+    },
+  },
+];
+
+const STAGE_NAMES = STAGES.map(stage => stage.name);
+
+/**
+ * Hash of a list of files; missing files hash as missing
+ */
+function hashFiles(files) {
+  return hashContent(files.map(file => `${file}\0${fs.existsSync(file) ? hashContent(fs.readFileSync(file)) : 'missing'}`).join('\0'));
+}
+
+/**
+ * Hash of everything that shapes a stage's output
+ */
+function inputHash(stage, dirs, options) {
+  const code = (stage.code || []).map(file => require.resolve(file));
+  return hashContent([
+    hashFiles(stage.inputs ? stage.inputs(dirs) : []),
+    fingerprintFiles(code),
+    JSON.stringify(stage.settings ? stage.settings(options) : {}),
+  ].join(':'));
+}
+
+function outputHashes(stage, dirs) {
+  const hashes = {};
+  for (const file of stage.outputs(dirs)) {
+    hashes[path.relative(path.join(__dirname, '..'), file)] = fs.existsSync(file) ? hashContent(fs.readFileSync(file)) : null;
+  }
+  return hashes;
+}
+
+/**
+ * Stage names to run for --only / --from
+ */
+function selectStages({ only, from } = {}) {
+  const check = name => {
+    if (!STAGE_NAMES.includes(name)) {
+      throw new Error(`Unknown stage "${name}". Stages: ${STAGE_NAMES.join(', ')}`);
+    }
+    return name;
+  };
+  if (only) {
+    return [].concat(only).flatMap(list => String(list).split(',')).map(name => check(name.trim()));
+  }
+  if (from) return STAGE_NAMES.slice(STAGE_NAMES.indexOf(check(from)));
+  return STAGE_NAMES;
+}
+
+/**
+ * What the data holds after a run, for comparing with the next one
+ */
+function snapshotData(dataDir, log) {
+  const read = file => readJson(path.join(dataDir, `${file}.json`), [], log);
+  const stats = readJson(path.join(dataDir, 'stats.json'), {}, log);
+  const episodes = read('episodes');
+  const frameworks = read('frameworks');
+  const debates = read('contradictions');
+  return {
+    counts: {
+      episodes: episodes.length,
+      segments: stats.total_segments || 0,
+      frameworks: frameworks.length,
+      connections: read('framework-graph').length,
+      insights: read('insights').length,
+      debates: debates.length,
+      candidates: read('framework-candidates').length,
+    },
+    ids: {
+      episodes: episodes.map(ep => ep.id),
+      frameworks: frameworks.map(f => f.name),
+      debates: debates.map(d => d.id),
+    },
+  };
+}
+
+/**
+ * Count changes and added/removed IDs between two snapshots
+ */
+function diffSnapshots(before, after) {
+  const diff = { counts: {} };
+  for (const [key, count] of Object.entries(after.counts)) {
+    const previous = before.counts[key] || 0;
+    if (count !== previous) diff.counts[key] = { before: previous, after: count, change: count - previous };
+  }
+  for (const [key, ids] of Object.entries(after.ids)) {
+    const old = new Set(before.ids[key] || []);
+    const now = new Set(ids);
+    const added = ids.filter(id => !old.has(id));
+    const removed = [...old].filter(id => !now.has(id));
+    if (added.length || removed.length) diff[key] = { added, removed };
+  }
+  return diff;
+}
+
+/**
+ * Run the pipeline.
+ *
+ * Options:
+ *   only             stage name(s) to run, alone (array or "extract,build")
+ *   from             run this stage and every one after it
+ *   force            run stages even when their inputs haven't changed
+ *   dataDir, srcDir, outputDir
+ *   log              progress callback, e.g. console.log
+ *   cacheDir         where stage caches are kept (default .cache/, or .cache/ inside a custom dataDir)
+ *   ...and the stage options: source/sources, sample, full, includeSponsors
+ *
+ * Returns the run report, which is also written to data/run-report.json.
+ * A failed stage stops the stages that depend on it; the report says so
+ * and has status "failed" rather than throwing.
+ */
+async function runPipeline(options = {}) {
+  const dirs = { ...DEFAULT_DIRS, ...options };
+  const { log = () => {}, force = false } = options;
+  const selected = selectStages(options);
+  const reportPath = path.join(dirs.dataDir, REPORT_FILE);
+  const previous = readJson(reportPath, null, log);
+  const previousStages = new Map(((previous && previous.stages) || []).map(stage => [stage.name, stage]));
+  const stageOptions = { ...options, ...dirs };
+  delete stageOptions.log;
+
+  const started = Date.now();
+  const results = [];
+  const failed = new Set();
+
+  for (const stage of STAGES) {
+    const last = previousStages.get(stage.name);
+    const result = { name: stage.name, status: 'not selected' };
+    results.push(result);
+    if (!selected.includes(stage.name)) {
+      // Keep what is known about the files a stage left behind, for the next run's skip check
+      if (last && last.input_hash) Object.assign(result, { input_hash: last.input_hash, outputs: last.outputs });
+      continue;
+    }
+    const blockedBy = stage.needs.find(name => failed.has(name));
+    if (blockedBy) {
+      Object.assign(result, { status: 'blocked', reason: `${blockedBy} failed` });
+      failed.add(stage.name);
+      continue;
+    }
+
+    const hash = stage.inputs ? inputHash(stage, dirs, options) : null;
+    const unchanged = hash && last && last.input_hash === hash &&
+      JSON.stringify(last.outputs) === JSON.stringify(outputHashes(stage, dirs));
+    if (unchanged && !force && !options.full) {
+      Object.assign(result, { status: 'skipped', reason: 'Inputs unchanged since the last run', counts: last.counts, input_hash: hash, outputs: last.outputs });
+      log(`⏭️  ${stage.name}: inputs unchanged, skipped`);
+      continue;
+    }
+
+    log(`\n▶️  ${stage.name}`);
+    const warnings = [];
+    const stageStart = Date.now();
+    try {
+      const outcome = await stage.run(stageOptions, {
+        log,
+        warn: message => {
+          warnings.push(message.replace(/^\W+/u, ''));
+          log(message);
+        },
+      });
+      Object.assign(result, {
+        status: outcome.skipped ? 'skipped' : 'ran',
+        ...(outcome.skipped ? { reason: outcome.skipped } : {}),
+        duration_ms: Date.now() - stageStart,
+        counts: outcome.counts,
+        warnings,
+        input_hash: stage.inputs ? inputHash(stage, dirs, options) : null,
+        outputs: outputHashes(stage, dirs),
+      });
+    } catch (error) {
+      Object.assign(result, { status: 'failed', duration_ms: Date.now() - stageStart, error: error.message, warnings });
+      failed.add(stage.name);
+      log(`❌ ${stage.name} failed: ${error.message}`);
+    }
+  }
+
+  const snapshot = snapshotData(dirs.dataDir, log);
+  const report = {
+    status: failed.size > 0 ? 'failed' : 'ok',
+    started_at: new Date(started).toISOString(),
+    finished_at: new Date().toISOString(),
+    duration_ms: Date.now() - started,
+    stages: results,
+    counts: snapshot.counts,
+    warnings: results.reduce((n, stage) => n + (stage.warnings || []).length, 0),
+    changes: previous && previous.snapshot ? diffSnapshots(previous.snapshot, snapshot) : null,
+    snapshot,
+  };
+  fs.mkdirSync(dirs.dataDir, { recursive: true });
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+  return report;
+}
+
+module.exports = {
+  STAGES,
+  STAGE_NAMES,
+  REPORT_FILE,
+  selectStages,
+  diffSnapshots,
+  runPipeline,
+};
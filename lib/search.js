@@ -0,0 +1,260 @@
+/**
+ * PM Wisdom Engine - Ranked Search
+ *
+ * One lunr index over segments, episodes, frameworks and insights, built
+ * by build-app and shipped serialized in the bundle. lunr stems every term
+ * and ranks with BM25, so "pricing" finds "priced" and the most relevant
+ * moments come first rather than the earliest ones in the file.
+ *
+ * Runs in Node and in the browser: build-app inlines this file (and lunr)
+ * into the app, where it is available as window.PMSearch.
+ *
+ * Document refs are "<type>:<id>" with types s (segment), e (episode),
+ * f (framework, by name) and i (insight, by position in insights.json).
+ *
+ * Queries accept a small syntax, shared by Search and the Episodes filter:
+ *
+ *   guest:"Elena Verna"  topic:Growth  framework:JTBD   field filters
+ *   "product market fit"                                 exact phrase
+ *   -freemium  -guest:Lenny                              exclusion
+ *   pricing OR monetization                              either side
+ *
+ * Synonyms and acronyms from the shared vocabulary (lib/vocabulary.js) are
+ * indexed under one key per group, so "PMF" finds "product-market fit".
+ * Longer words tolerate typos: "retension" still finds "retention".
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('lunr'), require('./vocabulary'));
+  } else {
+    root.PMSearch = factory(root.lunr, root.PMVocabulary);
+  }
+})(this, function (lunr, vocabularyLib) {
+  const FIELDS = { title: 4, guest: 2, topics: 2, synonyms: 2, body: 1 };
+  const TYPES = { s: 'segment', e: 'episode', f: 'framework', i: 'insight' };
+  const QUERY_FIELDS = ['guest', 'topic', 'framework'];
+  const QUERY_TOKEN = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+  // Shorter words are only matched as typed, never as a prefix or with typos
+  const MIN_EXPANDED_LENGTH = 3;
+
+  /**
+   * The indexable text of every record, as { ref, title, guest, topics, synonyms, body }.
+   * `vocabulary` is a compiled vocabulary (see lib/vocabulary.js).
+   */
+  function searchDocuments(data, { vocabulary } = {}) {
+    const docs = [];
+    (data.segments || []).forEach(s => docs.push({
+      ref: `s:${s.id}`, title: s.title || '', guest: s.guest || '', topics: '', body: s.text || '',
+    }));
+    (data.episodes || []).forEach(e => docs.push({
+      ref: `e:${e.id}`, title: e.title || '', guest: e.guest || '', topics: (e.topics || []).join(' '), body: e.description || '',
+    }));
+    (data.frameworks || []).forEach(f => docs.push({
+      ref: `f:${f.name}`, title: f.name, guest: f.creator || '', topics: '',
+      body: [f.description || ''].concat(...(f.episodes || []).map(e => e.contexts || [])).join(' '),
+    }));
+    (data.insights || []).forEach((insight, n) => docs.push({
+      ref: `i:${n}`, title: '', guest: insight.guest || '', topics: '', body: insight.text || '',
+    }));
+    docs.forEach(doc => {
+      doc.synonyms = vocabularyLib.synonymKeys(vocabulary, `${doc.title} ${doc.body}`).join(' ');
+    });
+    return docs;
+  }
+
+  /**
+   * Build the index over every record in the bundle
+   */
+  function buildIndex(data, options = {}) {
+    return lunr(function () {
+      this.ref('ref');
+      for (const [field, boost] of Object.entries(FIELDS)) {
+        this.field(field, { boost });
+      }
+      searchDocuments(data, options).forEach(doc => this.add(doc));
+    });
+  }
+
+  /**
+   * Restore an index serialized with JSON.stringify(index)
+   */
+  function loadIndex(serialized) {
+    return lunr.Index.load(serialized);
+  }
+
+  /**
+   * Split a ref into { type, id }
+   */
+  function parseRef(ref) {
+    const split = ref.indexOf(':');
+    return { type: TYPES[ref.slice(0, split)], id: ref.slice(split + 1) };
+  }
+
+  /**
+   * Parse query syntax into { groups, exclude }. Every group must match and
+   * is a list of alternatives joined by OR; any excluded clause rules a
+   * record out. Clauses are { field, value, phrase } with field null for
+   * plain text. Anything that is not syntax is taken literally.
+   */
+  function parseQuery(text) {
+    const groups = [];
+    const exclude = [];
+    let joinNext = false;
+
+    for (const match of String(text || '').matchAll(QUERY_TOKEN)) {
+      const [token, minus, name, quoted, bare] = match;
+      if (!quoted && (bare === 'OR' || bare === '|')) {
+        joinNext = groups.length > 0;
+        continue;
+      }
+
+      const field = name && QUERY_FIELDS.includes(name.toLowerCase()) ? name.toLowerCase() : null;
+      const raw = field ? (quoted !== undefined ? quoted : bare) : (quoted !== undefined ? quoted : token.slice(minus.length));
+      const value = (raw || '').trim();
+      if (!value) continue;
+
+      const clause = { field, value, phrase: quoted !== undefined };
+      if (minus) {
+        exclude.push(clause);
+      } else if (joinNext) {
+        groups[groups.length - 1].push(clause);
+      } else {
+        groups.push([clause]);
+      }
+      joinNext = false;
+    }
+
+    return { groups, exclude };
+  }
+
+  /**
+   * Plain-text words and phrases of a query, for ranking and highlighting
+   */
+  function queryTerms(query) {
+    const parsed = typeof query === 'string' ? parseQuery(query) : query;
+    return parsed.groups.flat().filter(clause => !clause.field).map(clause => clause.value);
+  }
+
+  /**
+   * Levenshtein distance between two words, giving up past `max`
+   */
+  function editDistance(a, b, max = Infinity) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let best = i;
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        best = Math.min(best, current[j]);
+      }
+      if (best > max) return max + 1;
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  /**
+   * Typos a word may carry and still match: none for short words, where
+   * one letter makes a different word, and two for long ones
+   */
+  function typoAllowance(word) {
+    if (word.length < 5) return 0;
+    return word.length < 9 ? 1 : 2;
+  }
+
+  /**
+   * Whether a text contains the word, or a word within its typo allowance
+   */
+  function fuzzyIncludes(text, word) {
+    const haystack = String(text || '').toLowerCase();
+    const needle = word.toLowerCase();
+    if (haystack.includes(needle)) return true;
+    const allowance = typoAllowance(needle);
+    if (allowance === 0 || /\s/.test(needle)) return false;
+    return haystack.split(/[^\w'-]+/).some(candidate => editDistance(candidate, needle, allowance) <= allowance);
+  }
+
+  /**
+   * Whether a record satisfies a parsed query. The record is
+   * { text, guest, topics, frameworks }, all optional. With
+   * { terms: false } plain words are left to the ranking and only
+   * phrases, field filters and exclusions are checked.
+   */
+  function matchQuery(query, record, { terms = true } = {}) {
+    const has = (haystack, needle) => String(haystack || '').toLowerCase().includes(needle.toLowerCase());
+    const clauseMatches = clause => {
+      if (clause.field === 'guest') return has(record.guest, clause.value);
+      if (clause.field === 'topic') return (record.topics || []).some(topic => has(topic, clause.value));
+      if (clause.field === 'framework') return (record.frameworks || []).some(name => has(name, clause.value));
+      return clause.phrase ? has(record.text, clause.value) : fuzzyIncludes(record.text, clause.value);
+    };
+
+    if (query.exclude.some(clauseMatches)) return false;
+    return query.groups.every(group =>
+      (!terms && group.some(clause => !clause.field && !clause.phrase)) || group.some(clauseMatches)
+    );
+  }
+
+  /**
+   * Ranked matches for a query, best first, as { ref, type, id, score }.
+   * Only the plain words and phrases are looked up; the text is tokenized
+   * rather than parsed as lunr query syntax, so input like "c++" or "(pmf"
+   * is just words. Each word also matches as a prefix and, if long enough,
+   * with typos, both at a lower weight, so partly typed or misspelt queries
+   * still find results. Stop words and words under three letters are only
+   * matched as typed. A hyphenated word is a phrase ("jobs-to-be-done"):
+   * the vocabulary's synonym key when it knows the phrase, otherwise every
+   * part is required, as typed. Pass the compiled `vocabulary` the index
+   * was built with to match synonyms.
+   */
+  function searchIndex(index, query, { types, vocabulary } = {}) {
+    const text = queryTerms(query).join(' ');
+    const tokenize = words => lunr.tokenizer(words).map(token => token.toString()).filter(Boolean);
+    const terms = tokenize(text);
+    if (terms.length === 0) return [];
+    const synonyms = vocabularyLib.synonymKeys(vocabulary, text);
+
+    const phrases = text.split(/\s+/).filter(word => /\w-+\w/.test(word));
+    const known = new Set(phrases.filter(word => vocabularyLib.synonymKeys(vocabulary, word).length > 0).flatMap(tokenize));
+    const required = new Set(phrases.filter(word => vocabularyLib.synonymKeys(vocabulary, word).length === 0).flatMap(tokenize));
+
+    const hits = index.query(query => {
+      for (const term of terms) {
+        if (known.has(term)) continue;
+        if (required.has(term)) {
+          if (lunr.stopWordFilter(term)) query.term(term, { presence: lunr.Query.presence.REQUIRED });
+          continue;
+        }
+        query.term(term);
+        if (!lunr.stopWordFilter(term) || term.length < MIN_EXPANDED_LENGTH) continue;
+        query.term(term, { usePipeline: false, wildcard: lunr.Query.wildcard.TRAILING, boost: 0.3 });
+        const typos = typoAllowance(term);
+        if (typos > 0) query.term(term, { editDistance: typos, boost: 0.2 });
+      }
+      // A synonym key stands in for every word of the phrase it replaces
+      for (const key of synonyms) {
+        query.term(key, { fields: ['synonyms'], boost: Math.max(1, terms.length) });
+      }
+    });
+
+    return hits
+      .map(hit => ({ ref: hit.ref, score: hit.score, ...parseRef(hit.ref) }))
+      .filter(hit => !types || types.includes(hit.type));
+  }
+
+  return {
+    FIELDS,
+    searchDocuments,
+    buildIndex,
+    loadIndex,
+    parseRef,
+    parseQuery,
+    queryTerms,
+    editDistance,
+    typoAllowance,
+    matchQuery,
+    searchIndex,
+  };
+});
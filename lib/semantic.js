@@ -0,0 +1,358 @@
+/**
+ * PM Wisdom Engine - Semantic Search
+ *
+ * Latent semantic analysis over transcript segments, computed offline by
+ * build-app. Segments become TF-IDF vectors, a truncated SVD folds them
+ * into a few dozen "concept" dimensions, and a query is projected into the
+ * same space, so "retention" can find "people churning after week one"
+ * when the corpus uses those words in similar places.
+ *
+ * Runs in Node and in the browser (window.PMSemantic), like lib/search.js.
+ * Vectors ship in the bundle as base64 int8 with a scale per row.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('lunr'), require('./vocabulary'));
+  } else {
+    root.PMSemantic = factory(root.lunr, root.PMVocabulary);
+  }
+})(this, function (lunr, vocabularyLib) {
+  const DEFAULTS = {
+    dimensions: 64,     // Concept dimensions kept from the SVD
+    maxTerms: 6000,     // Vocabulary size, most widespread terms first
+    minDocs: 2,         // A term must appear in this many segments...
+    maxDocShare: 0.5,   // ...and in no more than this share of them
+    oversample: 10,     // Extra random directions for the randomized SVD
+    powerIterations: 2,
+    seed: 42,
+  };
+  const RRF_K = 60; // Reciprocal rank fusion damping, as in the original paper
+
+  const pipeline = new lunr.Pipeline();
+  pipeline.add(lunr.trimmer, lunr.stopWordFilter, lunr.stemmer);
+
+  /**
+   * Stemmed, stop-word-free terms of a text, the same way lunr indexes it,
+   * plus the key of every synonym group it mentions
+   */
+  function terms(text, vocabulary) {
+    const keys = vocabularyLib.synonymKeys(vocabulary, text);
+    return pipeline.run(lunr.tokenizer(text || '')).map(token => token.toString()).filter(Boolean).concat(keys);
+  }
+
+  /**
+   * Deterministic random numbers, so rebuilding the same corpus gives the same vectors
+   */
+  function random(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Orthonormalize a list of equal-length columns in place (modified Gram-Schmidt)
+   */
+  function orthonormalize(columns) {
+    for (let j = 0; j < columns.length; j++) {
+      const column = columns[j];
+      for (let i = 0; i < j; i++) {
+        const other = columns[i];
+        let dot = 0;
+        for (let n = 0; n < column.length; n++) dot += column[n] * other[n];
+        for (let n = 0; n < column.length; n++) column[n] -= dot * other[n];
+      }
+      let norm = 0;
+      for (let n = 0; n < column.length; n++) norm += column[n] * column[n];
+      norm = Math.sqrt(norm) || 1;
+      for (let n = 0; n < column.length; n++) column[n] /= norm;
+    }
+    return columns;
+  }
+
+  /**
+   * Eigenvalues and eigenvectors of a small symmetric matrix (cyclic Jacobi).
+   * Returns { values, vectors } with vectors[i] the eigenvector for values[i].
+   */
+  function symmetricEigen(matrix) {
+    const size = matrix.length;
+    const a = matrix.map(row => Float64Array.from(row));
+    const v = Array.from({ length: size }, (_, i) => {
+      const row = new Float64Array(size);
+      row[i] = 1;
+      return row;
+    });
+
+    for (let sweep = 0; sweep < 100; sweep++) {
+      let off = 0;
+      for (let p = 0; p < size; p++) {
+        for (let q = p + 1; q < size; q++) off += a[p][q] * a[p][q];
+      }
+      if (off < 1e-20) break;
+
+      for (let p = 0; p < size; p++) {
+        for (let q = p + 1; q < size; q++) {
+          if (Math.abs(a[p][q]) < 1e-15) continue;
+          const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+          const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+          const c = 1 / Math.sqrt(t * t + 1);
+          const s = t * c;
+          for (let k = 0; k < size; k++) {
+            const akp = a[k][p];
+            const akq = a[k][q];
+            a[k][p] = c * akp - s * akq;
+            a[k][q] = s * akp + c * akq;
+          }
+          for (let k = 0; k < size; k++) {
+            const apk = a[p][k];
+            const aqk = a[q][k];
+            a[p][k] = c * apk - s * aqk;
+            a[q][k] = s * apk + c * aqk;
+          }
+          for (let k = 0; k < size; k++) {
+            const vkp = v[k][p];
+            const vkq = v[k][q];
+            v[k][p] = c * vkp - s * vkq;
+            v[k][q] = s * vkp + c * vkq;
+          }
+        }
+      }
+    }
+
+    return {
+      values: a.map((row, i) => row[i]),
+      vectors: a.map((_, i) => Float64Array.from(v, row => row[i])),
+    };
+  }
+
+  /**
+   * Quantize rows of floats to int8 with one scale per row
+   */
+  function quantize(rows, width) {
+    const bytes = new Int8Array(rows.length * width);
+    const scales = rows.map((row, r) => {
+      let max = 0;
+      for (let i = 0; i < width; i++) max = Math.max(max, Math.abs(row[i]));
+      const scale = max / 127 || 1;
+      for (let i = 0; i < width; i++) bytes[r * width + i] = Math.round(row[i] / scale);
+      return Number(scale.toPrecision(4));
+    });
+    return { data: toBase64(bytes), scales };
+  }
+
+  /**
+   * Undo quantize() into one Float32Array of rows * width
+   */
+  function dequantize(data, scales, width) {
+    const bytes = fromBase64(data);
+    const values = new Float32Array(bytes.length);
+    for (let i = 0; i < bytes.length; i++) values[i] = bytes[i] * scales[Math.floor(i / width)];
+    return values;
+  }
+
+  function toBase64(int8) {
+    const bytes = new Uint8Array(int8.buffer, int8.byteOffset, int8.length);
+    if (typeof Buffer !== 'undefined') return Buffer.from(bytes).toString('base64');
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+    return btoa(binary);
+  }
+
+  function fromBase64(text) {
+    if (typeof Buffer !== 'undefined') {
+      const buffer = Buffer.from(text, 'base64');
+      return new Int8Array(buffer.buffer, buffer.byteOffset, buffer.length);
+    }
+    const binary = atob(text);
+    const bytes = new Int8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+  }
+
+  /**
+   * Build the serialized semantic index over segments. Document n of the
+   * index is segments[n], so the bundle does not repeat segment IDs.
+   * Options override DEFAULTS; `vocabulary` is a compiled vocabulary.
+   */
+  function buildSemanticIndex(segments, options = {}) {
+    const settings = { ...DEFAULTS, ...options };
+    const docs = segments.map(segment => terms(segment.text, settings.vocabulary));
+
+    // Vocabulary: terms shared by a few segments but not by most of them
+    const docFreq = new Map();
+    for (const doc of docs) {
+      for (const term of new Set(doc)) docFreq.set(term, (docFreq.get(term) || 0) + 1);
+    }
+    const maxDocs = Math.max(settings.minDocs, Math.floor(docs.length * settings.maxDocShare));
+    const vocabulary = [...docFreq]
+      .filter(([, df]) => df >= settings.minDocs && df <= maxDocs)
+      .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+      .slice(0, settings.maxTerms)
+      .map(([term]) => term);
+    const termIndex = new Map(vocabulary.map((term, i) => [term, i]));
+    const idf = vocabulary.map(term => Math.log(docs.length / docFreq.get(term)));
+
+    // Sparse TF-IDF rows, normalized to unit length
+    const rows = docs.map(doc => {
+      const counts = new Map();
+      for (const term of doc) {
+        const t = termIndex.get(term);
+        if (t !== undefined) counts.set(t, (counts.get(t) || 0) + 1);
+      }
+      const index = Int32Array.from(counts.keys());
+      const value = Float64Array.from(index, t => (1 + Math.log(counts.get(t))) * idf[t]);
+      const norm = Math.sqrt(value.reduce((sum, x) => sum + x * x, 0)) || 1;
+      for (let i = 0; i < value.length; i++) value[i] /= norm;
+      return { index, value };
+    });
+
+    // Keeping nearly as many dimensions as terms would reproduce keyword matching
+    const dimensions = Math.min(settings.dimensions, docs.length - 1, Math.floor(vocabulary.length / 4));
+    if (dimensions < 1) {
+      return { version: 1, dimensions: 0, terms: vocabulary, idf: [], termVectors: { data: '', scales: [] }, docVectors: { data: '', scales: [] } };
+    }
+
+    // Randomized SVD (Halko, Martinsson & Tropp): find the range of A with random
+    // probes, then take the exact SVD of A projected onto that small range
+    const width = Math.min(dimensions + settings.oversample, docs.length, vocabulary.length);
+    const next = random(settings.seed);
+    const multiply = probes => probes.map(probe => Float64Array.from(rows, row => {
+      let sum = 0;
+      for (let i = 0; i < row.index.length; i++) sum += row.value[i] * probe[row.index[i]];
+      return sum;
+    }));
+    const multiplyTransposed = columns => columns.map(column => {
+      const out = new Float64Array(vocabulary.length);
+      rows.forEach((row, n) => {
+        for (let i = 0; i < row.index.length; i++) out[row.index[i]] += row.value[i] * column[n];
+      });
+      return out;
+    });
+
+    let range = orthonormalize(multiply(Array.from({ length: width }, () =>
+      Float64Array.from({ length: vocabulary.length }, () => next() * 2 - 1)
+    )));
+    for (let i = 0; i < settings.powerIterations; i++) {
+      range = orthonormalize(multiply(orthonormalize(multiplyTransposed(range))));
+    }
+
+    // B = Qᵀ A is small (width × terms); its left singular vectors come from B Bᵀ
+    const projected = multiplyTransposed(range);
+    const gram = projected.map(a => projected.map(b => {
+      let sum = 0;
+      for (let t = 0; t < a.length; t++) sum += a[t] * b[t];
+      return sum;
+    }));
+    const { values, vectors } = symmetricEigen(gram);
+    const order = values.map((value, i) => i).sort((a, b) => values[b] - values[a]).slice(0, dimensions)
+      .filter(i => values[i] > 1e-10);
+
+    // Right singular vectors, one row per term: V = Bᵀ W Σ⁻¹
+    const termRows = vocabulary.map((_, t) => Float64Array.from(order, i => {
+      let sum = 0;
+      for (let j = 0; j < width; j++) sum += projected[j][t] * vectors[i][j];
+      return sum / Math.sqrt(values[i]);
+    }));
+
+    // Segment vectors are their TF-IDF rows folded in the same way as a query
+    const docRows = rows.map(row => normalize(project(row.index, row.value, termRows, order.length)));
+
+    return {
+      version: 1,
+      dimensions: order.length,
+      terms: vocabulary,
+      idf: idf.map(x => Number(x.toFixed(4))),
+      termVectors: quantize(termRows, order.length),
+      docVectors: quantize(docRows, order.length),
+    };
+  }
+
+  function project(index, value, termRows, dimensions) {
+    const out = new Float64Array(dimensions);
+    for (let i = 0; i < index.length; i++) {
+      const row = termRows[index[i]];
+      for (let d = 0; d < dimensions; d++) out[d] += value[i] * row[d];
+    }
+    return out;
+  }
+
+  function normalize(vector) {
+    let norm = 0;
+    for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+    norm = Math.sqrt(norm);
+    if (norm > 0) for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+    return vector;
+  }
+
+  /**
+   * Restore a serialized index for querying
+   */
+  function loadSemanticIndex(serialized) {
+    const dimensions = serialized.dimensions;
+    return {
+      dimensions,
+      termIndex: new Map(serialized.terms.map((term, i) => [term, i])),
+      idf: serialized.idf,
+      termVectors: dequantize(serialized.termVectors.data, serialized.termVectors.scales, dimensions),
+      docVectors: dequantize(serialized.docVectors.data, serialized.docVectors.scales, dimensions),
+      size: serialized.docVectors.scales.length,
+    };
+  }
+
+  /**
+   * Segments closest in meaning to the text, best first, as { doc, score }
+   * where doc is the segment's position and score the cosine similarity.
+   * Pass the compiled `vocabulary` the index was built with.
+   */
+  function semanticSearch(index, text, { limit = 200, minScore = 0.2, vocabulary } = {}) {
+    const { dimensions, termIndex, idf, termVectors, docVectors } = index;
+    if (!dimensions) return [];
+
+    const counts = new Map();
+    for (const term of terms(text, vocabulary)) {
+      const t = termIndex.get(term);
+      if (t !== undefined) counts.set(t, (counts.get(t) || 0) + 1);
+    }
+    if (counts.size === 0) return [];
+
+    const query = new Float64Array(dimensions);
+    for (const [t, count] of counts) {
+      const weight = (1 + Math.log(count)) * idf[t];
+      for (let d = 0; d < dimensions; d++) query[d] += weight * termVectors[t * dimensions + d];
+    }
+    normalize(query);
+
+    const hits = [];
+    for (let doc = 0; doc < index.size; doc++) {
+      let score = 0;
+      for (let d = 0; d < dimensions; d++) score += query[d] * docVectors[doc * dimensions + d];
+      if (score >= minScore) hits.push({ doc, score });
+    }
+    return hits.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  /**
+   * Merge rankings of keys (best first) with reciprocal rank fusion
+   */
+  function fuseRankings(...rankings) {
+    const scores = new Map();
+    for (const ranking of rankings) {
+      ranking.forEach((key, rank) => scores.set(key, (scores.get(key) || 0) + 1 / (RRF_K + rank + 1)));
+    }
+    return [...scores].sort((a, b) => b[1] - a[1]).map(([key]) => key);
+  }
+
+  return {
+    DEFAULTS,
+    terms,
+    buildSemanticIndex,
+    loadSemanticIndex,
+    semanticSearch,
+    fuseRankings,
+  };
+});
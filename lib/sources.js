@@ -0,0 +1,246 @@
+/**
+ * PM Wisdom Engine - Transcript Sources
+ *
+ * Resolves where transcripts come from: a local directory, an archive
+ * (.zip, .tar, .tar.gz, .tgz) or a git remote. Every source is prepared
+ * into a plain directory so parsing never has to care where files came from.
+ *
+ * A corpus can hold several podcasts. Each source may be tagged with the
+ * show it belongs to and the show's hosts:
+ * { "show": "Acquired", "hosts": ["Ben Gilbert", "David Rosenthal"], "location": "./acquired" }.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { EXTENSIONS, CAPTION_EXTENSIONS } = require('./formats');
+const { hashContent } = require('./incremental');
+const { HOST_NAMES } = require('./turns');
+
+const DEFAULT_REPO_URL = 'https://github.com/ChatPRD/lennys-podcast-transcripts.git';
+const DEFAULT_SHOW = "Lenny's Podcast";
+const ROOT_DIR = path.join(__dirname, '..');
+const CACHE_DIR = path.join(ROOT_DIR, '.cache/sources');
+
+const SOURCE_TYPES = ['dir', 'archive', 'git'];
+const ARCHIVE_PATTERN = /\.(zip|tar|tar\.gz|tgz)$/i;
+
+/**
+ * Thrown when a source cannot be found or prepared
+ */
+class SourceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SourceError';
+  }
+}
+
+/**
+ * Guess the source type from its location
+ */
+function detectSourceType(location) {
+  if (/^(https?|ssh|git):\/\/|^git@|\.git$/i.test(location)) return 'git';
+  if (ARCHIVE_PATTERN.test(location)) return 'archive';
+  return 'dir';
+}
+
+/**
+ * Normalize a source spec (string or object) into { type, location }
+ */
+function resolveSource(spec) {
+  if (!spec) {
+    return { type: 'git', location: DEFAULT_REPO_URL };
+  }
+
+  const source = typeof spec === 'string' ? { location: spec } : { ...spec };
+  if (!source.location) {
+    throw new SourceError('Source is missing a location');
+  }
+
+  source.type = source.type || detectSourceType(source.location);
+  if (!SOURCE_TYPES.includes(source.type)) {
+    throw new SourceError(`Unknown source type "${source.type}" (expected ${SOURCE_TYPES.join(', ')})`);
+  }
+
+  if (source.type !== 'git') {
+    source.location = path.resolve(ROOT_DIR, source.location);
+  }
+  if (source.show !== undefined && (typeof source.show !== 'string' || !source.show.trim())) {
+    throw new SourceError(`Source ${source.location} has an empty show name`);
+  }
+  if (source.hosts !== undefined && (!Array.isArray(source.hosts) || !source.hosts.every(host => typeof host === 'string' && host.trim()))) {
+    throw new SourceError(`Source ${source.location}: "hosts" must be a list of names`);
+  }
+
+  return source;
+}
+
+/**
+ * Host names for a show: the source's `hosts`, or Lenny's for Lenny's
+ * Podcast. Other shows have no hosts until their source names them.
+ */
+function showHosts(show, hosts) {
+  if (hosts) return hosts;
+  return show === DEFAULT_SHOW ? HOST_NAMES : [];
+}
+
+/**
+ * Every configured source spec: `sources` (a list) or a single `source`.
+ * With neither, the default transcripts repository is used.
+ */
+function listSources(config = {}) {
+  const specs = config.sources !== undefined ? [].concat(config.sources) : [config.source];
+  if (specs.length === 0) {
+    throw new SourceError('"sources" is empty');
+  }
+  return specs;
+}
+
+/**
+ * Directory a remote or archive source is unpacked into: its name plus a
+ * short hash of the full location, so two sources with the same file or
+ * repository name (forks, archives in different folders) don't share one
+ */
+function cacheDirFor(source) {
+  if (source.type === 'git' && source.location === DEFAULT_REPO_URL) {
+    return path.join(ROOT_DIR, 'lennys-podcast-transcripts');
+  }
+  const slug = path.basename(source.location)
+    .replace(/\.(git|zip|tar|tar\.gz|tgz)$/i, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-');
+  return path.join(CACHE_DIR, `${source.type}-${slug}-${hashContent(source.location).slice(0, 8)}`);
+}
+
+/**
+ * Clone or update a git source
+ */
+function prepareGit(source, log) {
+  const targetDir = cacheDirFor(source);
+
+  if (fs.existsSync(targetDir)) {
+    log('   Repository exists, pulling latest changes...');
+    try {
+      execFileSync('git', ['pull'], { cwd: targetDir, stdio: 'inherit' });
+      log('   ✓ Repository updated\n');
+    } catch (error) {
+      log('   ⚠️ Could not pull updates, using existing checkout\n');
+    }
+    return targetDir;
+  }
+
+  log('   Cloning repository (this may take a minute)...');
+  log(`   From: ${source.location}\n`);
+  fs.mkdirSync(path.dirname(targetDir), { recursive: true });
+  try {
+    execFileSync('git', ['clone', '--', source.location, targetDir], { stdio: 'inherit' });
+  } catch (error) {
+    throw new SourceError(`Failed to clone ${source.location}. Check git and network access, or use a local --source.`);
+  }
+  log('\n   ✓ Repository cloned successfully\n');
+  return targetDir;
+}
+
+/**
+ * Extract an archive source, reusing the extraction while the archive is unchanged
+ */
+function prepareArchive(source, log) {
+  if (!fs.existsSync(source.location)) {
+    throw new SourceError(`Archive not found: ${source.location}`);
+  }
+
+  const targetDir = cacheDirFor(source);
+  const stampPath = path.join(targetDir, '.extracted-from');
+  const stamp = `${source.location}:${fs.statSync(source.location).mtimeMs}`;
+
+  if (fs.existsSync(stampPath) && fs.readFileSync(stampPath, 'utf-8') === stamp) {
+    log('   Archive unchanged, reusing extracted files\n');
+    return targetDir;
+  }
+
+  log(`   Extracting ${path.basename(source.location)}...`);
+  fs.rmSync(targetDir, { recursive: true, force: true });
+  fs.mkdirSync(targetDir, { recursive: true });
+
+  // Arguments go straight to the program, never through a shell
+  const [command, args] = /\.zip$/i.test(source.location)
+    ? ['unzip', ['-q', source.location, '-d', targetDir]]
+    : ['tar', ['-xf', source.location, '-C', targetDir]];
+  try {
+    execFileSync(command, args, { stdio: 'inherit' });
+  } catch (error) {
+    throw new SourceError(`Failed to extract ${source.location}`);
+  }
+
+  fs.writeFileSync(stampPath, stamp);
+  log('   ✓ Archive extracted\n');
+  return targetDir;
+}
+
+/**
+ * Whether a directory holds an <episode>/transcript.<ext> folder or a loose caption file
+ */
+function hasTranscripts(dir) {
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) return false;
+  return fs.readdirSync(dir, { withFileTypes: true }).some(entry => (entry.isDirectory()
+    ? EXTENSIONS.some(ext => fs.existsSync(path.join(dir, entry.name, `transcript${ext}`)))
+    : CAPTION_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())));
+}
+
+/**
+ * Locate the folder holding one sub-folder per episode.
+ * Accepts the episodes folder itself, a checkout containing `episodes/`,
+ * or an archive that wraps either of those in a single top-level folder.
+ */
+function findEpisodesDir(rootDir) {
+  const candidates = [path.join(rootDir, 'episodes'), rootDir];
+
+  const entries = fs.readdirSync(rootDir, { withFileTypes: true })
+    .filter(entry => !entry.name.startsWith('.'));
+  if (entries.length === 1 && entries[0].isDirectory()) {
+    const wrapped = path.join(rootDir, entries[0].name);
+    candidates.push(path.join(wrapped, 'episodes'), wrapped);
+  }
+
+  return candidates.find(hasTranscripts);
+}
+
+/**
+ * Prepare a source and return the directory its transcripts live in.
+ * log is a progress callback, e.g. console.log.
+ */
+function prepareSource(spec, { log = () => {} } = {}) {
+  const source = resolveSource(spec);
+  log(`📦 Preparing ${source.type} source${source.show ? ` for ${source.show}` : ''}: ${source.location}\n`);
+
+  let rootDir;
+  if (source.type === 'git') {
+    rootDir = prepareGit(source, log);
+  } else if (source.type === 'archive') {
+    rootDir = prepareArchive(source, log);
+  } else {
+    if (!fs.existsSync(source.location) || !fs.statSync(source.location).isDirectory()) {
+      throw new SourceError(`Transcript directory not found: ${source.location}`);
+    }
+    rootDir = source.location;
+  }
+
+  const episodesDir = findEpisodesDir(rootDir);
+  if (!episodesDir) {
+    throw new SourceError(`No episodes folder found in ${rootDir}`);
+  }
+
+  return { ...source, episodesDir };
+}
+
+module.exports = {
+  DEFAULT_REPO_URL,
+  DEFAULT_SHOW,
+  SourceError,
+  detectSourceType,
+  resolveSource,
+  showHosts,
+  cacheDirFor,
+  listSources,
+  prepareSource,
+};
@@ -0,0 +1,149 @@
+/**
+ * PM Wisdom Engine - Sponsor Detection
+ *
+ * Finds ad reads ("This episode is brought to you by Coda...") so they can
+ * be tagged at ingest and left out of frameworks, insights, debates and search.
+ *
+ * Each turn (or paragraph, for transcripts without speaker labels) gets a
+ * score from sponsor-intro phrases, calls to action, known sponsor names,
+ * who is speaking and where it falls in the episode.
+ */
+
+const SPONSOR_INTROS = [
+  /\b(is|are) brought to you by\b/i,
+  /\bsponsored by\b/i,
+  /\btoday'?s (episode|sponsor)\b/i,
+  /\bour (next |final )?sponsor\b/i,
+  /\blet me tell you about\b/i,
+  /\bbefore we (get started|dive in),? (a word|a quick word) from\b/i,
+];
+
+const CALLS_TO_ACTION = [
+  /\b[\w-]+\.(com|io|ai|co|so|dev|app|org)\/lenny\b/i,
+  /\b(promo|discount|coupon) code\b/i,
+  /\buse (the )?code\b/i,
+  /\b(head|go) (over )?to [\w-]+\.(com|io|ai|co|so|dev|app|org)\b/i,
+  /\bto get started\b/i,
+  /\bfree trial\b/i,
+  /\bmonths? free\b/i,
+];
+
+// Past and present sponsors of the show
+const KNOWN_SPONSORS = [
+  'Amplitude', 'Anvil', 'Attio', 'Braintrust', 'Brex', 'Coda', 'CommandBar',
+  'Dovetail', 'Eppo', 'Enterpret', 'Hex', 'Jira Product Discovery',
+  'LaunchDarkly', 'Linear', 'Lovable', 'Mercury', 'Miro', 'Orkes', 'Paragon',
+  'Pendo', 'Persona', 'Productboard', 'Ramp', 'Retool', 'Rippling', 'Sprig',
+  'Statsig', 'Vanta', 'Webflow', 'WorkOS',
+];
+const SPONSOR_NAME_PATTERN = new RegExp(`\\b(${KNOWN_SPONSORS.join('|')})\\b`);
+
+const THRESHOLD = 3;
+const CONTINUATION_THRESHOLD = 2;
+const OPENING_SHARE = 0.12; // Pre-roll ads sit in roughly the first 12% of an episode
+
+/**
+ * Score how much a block of text looks like an ad read.
+ * `signal` is whether it has ad wording at all; the name of a sponsor alone
+ * ("my guest is the CEO of Linear") is not enough to start an ad.
+ */
+function scoreBlock(block, position) {
+  const intro = SPONSOR_INTROS.some(p => p.test(block.text));
+  const callToAction = CALLS_TO_ACTION.some(p => p.test(block.text));
+  const named = SPONSOR_NAME_PATTERN.test(block.text);
+
+  let score = 0;
+  if (intro) score += 3;
+  if (callToAction) score += 2;
+  if (named) score += 1;
+  if (block.role === 'host') score += 1;
+  if (block.role === 'guest') score -= 3;
+  if (position < OPENING_SHARE) score += 1;
+
+  return { score, signal: intro || callToAction, named };
+}
+
+/**
+ * Split a transcript into paragraph blocks when it has no speaker turns
+ */
+function paragraphBlocks(transcript) {
+  const blocks = [];
+  for (const match of transcript.matchAll(/[^\n]+(?:\n(?!\s*\n)[^\n]*)*/g)) {
+    if (match[0].trim()) {
+      blocks.push({ text: match[0], offset: match.index, role: null, speaker: null });
+    }
+  }
+  return blocks;
+}
+
+/**
+ * Find sponsor reads in an episode.
+ * Returns character ranges into the transcript as [{ start, end }], and
+ * marks matching turns with `sponsor: true`.
+ */
+function detectSponsors(episode) {
+  const transcript = episode.transcript || '';
+  const turns = episode.turns || [];
+  const blocks = turns.length > 0 ? turns : paragraphBlocks(transcript);
+  const ranges = [];
+  let previous = null;
+
+  blocks.forEach((block, i) => {
+    const end = i + 1 < blocks.length ? blocks[i + 1].offset : transcript.length;
+    const { score, signal, named } = scoreBlock(block, block.offset / (transcript.length || 1));
+
+    // An ad often runs over several turns by the same host
+    const continues = Boolean(previous && previous.sponsor && block.speaker && block.speaker === previous.speaker);
+    const sponsor = (signal && score >= THRESHOLD) ||
+      (continues && (signal || named) && score >= CONTINUATION_THRESHOLD);
+
+    if (turns.length > 0) block.sponsor = sponsor;
+    if (sponsor) {
+      const last = ranges[ranges.length - 1];
+      if (last && last.end === block.offset) {
+        last.end = end;
+      } else {
+        ranges.push({ start: block.offset, end });
+      }
+    }
+    previous = { sponsor, speaker: block.speaker };
+  });
+
+  return ranges;
+}
+
+/**
+ * Fraction of [start, end) covered by sponsor ranges
+ */
+function sponsorShare(ranges, start, end) {
+  if (!ranges || ranges.length === 0 || end <= start) return 0;
+  let covered = 0;
+  for (const range of ranges) {
+    covered += Math.max(0, Math.min(end, range.end) - Math.max(start, range.start));
+  }
+  return covered / (end - start);
+}
+
+/**
+ * Episode transcript with sponsor reads removed (unless includeSponsors is set)
+ */
+function contentText(episode, { includeSponsors = false } = {}) {
+  const transcript = episode.transcript || '';
+  const ranges = episode.sponsor_ranges || [];
+  if (includeSponsors || ranges.length === 0) return transcript;
+
+  let text = '';
+  let cursor = 0;
+  for (const range of ranges) {
+    text += transcript.slice(cursor, range.start) + '\n\n';
+    cursor = range.end;
+  }
+  return text + transcript.slice(cursor);
+}
+
+module.exports = {
+  KNOWN_SPONSORS,
+  detectSponsors,
+  sponsorShare,
+  contentText,
+};
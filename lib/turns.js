@@ -0,0 +1,160 @@
+/**
+ * PM Wisdom Engine - Speaker Turns
+ *
+ * Splits a transcript into who-said-what. Transcripts label each turn as
+ *
+ *   Shreyas Doshi (07:50):
+ *   Yeah, and so here's the thing...
+ *
+ *   (08:12):
+ *   ...and a bare timestamp continues the same speaker.
+ *
+ * Older transcripts (and the sample data) use `Name: text` with no timestamps.
+ */
+
+// Hosts of the original show, Lenny's Podcast; sources name the hosts of
+// other shows (see sources.js). Anyone else speaking is a guest.
+const HOST_NAMES = ['Lenny', 'Lenny Rachitsky'];
+
+const LABELED_TURN = /^[ \t]*(?:([^\n():]{1,80}?)[ \t]+)?\((\d{1,2}:\d{2}(?::\d{2})?)\):[ \t]*(.*)$/gm;
+const PLAIN_TURN = /^[ \t]*([A-Z][\w.'-]*(?: [A-Z][\w.'-]*){0,3}):[ \t]+(.+)$/gm;
+
+/**
+ * Convert "MM:SS" or "HH:MM:SS" to seconds
+ */
+function parseTimestamp(value) {
+  const parts = value.split(':').map(Number);
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+/**
+ * Whether a speaker name belongs to a host
+ */
+function isHost(speaker, hostNames = HOST_NAMES) {
+  const name = (speaker || '').trim().toLowerCase();
+  return hostNames.some(host => host.toLowerCase() === name);
+}
+
+/**
+ * Build turns from header matches; each turn runs until the next header
+ */
+function turnsFromHeaders(transcript, headers, hostNames) {
+  const turns = [];
+  let speaker = null;
+
+  headers.forEach((header, i) => {
+    const end = i + 1 < headers.length ? headers[i + 1].index : transcript.length;
+    const text = (header.inline + transcript.slice(header.bodyStart, end)).replace(/\s+/g, ' ').trim();
+    speaker = header.speaker || speaker;
+    if (!text) return;
+
+    turns.push({
+      speaker: speaker || 'Unknown',
+      role: isHost(speaker, hostNames) ? 'host' : 'guest',
+      start: header.start,
+      text,
+      offset: header.index,
+    });
+  });
+
+  return turns;
+}
+
+/**
+ * Find `Name (MM:SS):` and `(MM:SS):` turn headers
+ */
+function findLabeledHeaders(transcript) {
+  const headers = [];
+  for (const match of transcript.matchAll(LABELED_TURN)) {
+    headers.push({
+      index: match.index,
+      bodyStart: match.index + match[0].length,
+      speaker: match[1] ? match[1].trim() : null,
+      start: parseTimestamp(match[2]),
+      inline: match[3] ? `${match[3]} ` : '',
+    });
+  }
+  return headers;
+}
+
+/**
+ * Find `Name: text` turn headers. A name only counts once it heads at least
+ * two turns, so one-off lines like "Value: faster insights" are left alone.
+ */
+function findPlainHeaders(transcript) {
+  const matches = [...transcript.matchAll(PLAIN_TURN)];
+  const counts = {};
+  matches.forEach(match => { counts[match[1]] = (counts[match[1]] || 0) + 1; });
+
+  return matches
+    .filter(match => counts[match[1]] >= 2)
+    .map(match => ({
+      index: match.index,
+      bodyStart: match.index + match[0].length,
+      speaker: match[1],
+      start: null,
+      inline: `${match[2]} `,
+    }));
+}
+
+/**
+ * Turn headers in either form; timestamped labels win when a transcript has any
+ */
+function findHeaders(transcript) {
+  const headers = findLabeledHeaders(transcript);
+  return headers.length > 0 ? headers : findPlainHeaders(transcript);
+}
+
+/**
+ * Split a transcript into speaker turns.
+ * Each turn is { speaker, role: 'host' | 'guest', start (seconds or null), text, offset }
+ * where offset is the character position of the turn in the transcript.
+ */
+function parseTurns(transcript, { hostNames = HOST_NAMES } = {}) {
+  if (!transcript) return [];
+
+  const headers = findHeaders(transcript);
+  if (headers.length === 0) return [];
+
+  return turnsFromHeaders(transcript, headers, hostNames);
+}
+
+/**
+ * The transcript without its turn headers: speaker labels and timestamps
+ * are dropped and each turn starts a new line
+ */
+function stripTurnHeaders(transcript) {
+  if (!transcript) return '';
+
+  let text = '';
+  let cursor = 0;
+  for (const header of findHeaders(transcript)) {
+    text += `${transcript.slice(cursor, header.index)}\n${header.inline}`;
+    cursor = header.bodyStart;
+  }
+  return text + transcript.slice(cursor);
+}
+
+/**
+ * Clock for one turn: seconds into the episode after a number of its words,
+ * interpolated between the turn's timestamp and the next one (the end of
+ * the episode for the last turn). Untimed turns give null.
+ */
+function turnClock(turns, turnIndex, duration = 0) {
+  const turn = turns[turnIndex];
+  const next = turns.slice(turnIndex + 1).find(t => t.start != null);
+  const turnEnd = next ? next.start : Math.max(duration || 0, turn.start || 0);
+  const turnWords = (turn.text.match(/\S+/g) || []).length || 1;
+  return words => (turn.start == null
+    ? null
+    : turn.start + (turnEnd - turn.start) * (words / turnWords));
+}
+
+module.exports = {
+  HOST_NAMES,
+  parseTimestamp,
+  isHost,
+  parseTurns,
+  stripTurnHeaders,
+  turnClock,
+};
@@ -0,0 +1,139 @@
+/**
+ * PM Wisdom Engine - Data Contract
+ *
+ * Validates the JSON files in data/ against the schemas in schemas/ and
+ * checks that records point at episodes that exist. Pipeline stages call
+ * assertValid() before writing, and build-app refuses to bundle data that fails.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+
+const SCHEMA_DIR = path.join(__dirname, '../schemas');
+const DATA_FILES = ['episodes', 'segments', 'frameworks', 'insights', 'contradictions', 'stats', 'framework-candidates', 'framework-graph'];
+const MAX_REPORTED_ERRORS = 10;
+
+/**
+ * Thrown when data does not match its contract
+ */
+class DataContractError extends Error {
+  constructor(file, errors) {
+    const shown = errors.slice(0, MAX_REPORTED_ERRORS).map(e => `   • ${e}`).join('\n');
+    const more = errors.length > MAX_REPORTED_ERRORS ? `\n   …and ${errors.length - MAX_REPORTED_ERRORS} more` : '';
+    super(`${file}.json breaks the data contract:\n${shown}${more}`);
+    this.name = 'DataContractError';
+    this.file = file;
+    this.errors = errors;
+  }
+}
+
+let validators = null;
+
+/**
+ * Compile every schema once
+ */
+function getValidators() {
+  if (validators) return validators;
+
+  const ajv = new Ajv({ allErrors: true });
+  validators = {};
+  for (const file of DATA_FILES) {
+    const schema = JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, `${file}.schema.json`), 'utf-8'));
+    validators[file] = ajv.compile(schema);
+  }
+  return validators;
+}
+
+/**
+ * Validate one data file's contents. Returns a list of readable errors.
+ */
+function validateData(file, data) {
+  const validate = getValidators()[file];
+  if (!validate) return [`no schema for ${file}.json`];
+  if (validate(data)) return [];
+
+  return validate.errors.map(error => `${error.instancePath || '(root)'} ${error.message}`);
+}
+
+/**
+ * Throw a DataContractError if the data breaks its schema
+ */
+function assertValid(file, data) {
+  const errors = validateData(file, data);
+  if (errors.length > 0) {
+    throw new DataContractError(file, errors);
+  }
+}
+
+/**
+ * Check that records across files refer to episodes that exist.
+ * `data` holds whichever files are loaded; missing ones are skipped.
+ */
+function checkReferences(data) {
+  const errors = {};
+  if (!Array.isArray(data.episodes)) return errors;
+
+  const episodeIds = new Set(data.episodes.map(e => e.id));
+  const report = (file, message) => {
+    (errors[file] = errors[file] || []).push(message);
+  };
+
+  (data.segments || []).forEach((s, i) => {
+    if (!episodeIds.has(s.episode_id)) report('segments', `/${i}/episode_id unknown episode "${s.episode_id}"`);
+  });
+  (data.insights || []).forEach((insight, i) => {
+    if (!episodeIds.has(insight.episode_id)) report('insights', `/${i}/episode_id unknown episode "${insight.episode_id}"`);
+  });
+  (data.frameworks || []).forEach((fw, i) => {
+    (fw.episodes || []).forEach((e, j) => {
+      if (!episodeIds.has(e.episode_id)) report('frameworks', `/${i}/episodes/${j}/episode_id unknown episode "${e.episode_id}"`);
+    });
+  });
+  (data['framework-candidates'] || []).forEach((candidate, i) => {
+    (candidate.episodes || []).forEach((id, j) => {
+      if (!episodeIds.has(id)) report('framework-candidates', `/${i}/episodes/${j} unknown episode "${id}"`);
+    });
+  });
+  (data['framework-graph'] || []).forEach((edge, i) => {
+    (edge.connections || []).forEach((c, j) => {
+      if (!episodeIds.has(c.episode_id)) report('framework-graph', `/${i}/connections/${j}/episode_id unknown episode "${c.episode_id}"`);
+    });
+  });
+  (data.contradictions || []).forEach((c, i) => {
+    for (const side of ['position_a', 'position_b']) {
+      ((c[side] || {}).evidence || []).forEach((e, j) => {
+        if (!episodeIds.has(e.episode_id)) report('contradictions', `/${i}/${side}/evidence/${j}/episode_id unknown episode "${e.episode_id}"`);
+      });
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validate a set of loaded data files, schema and references together.
+ * Returns { file: [errors] } for every file with problems.
+ */
+function validateAll(data) {
+  const errors = {};
+  for (const file of DATA_FILES) {
+    if (data[file] === undefined) continue;
+    const fileErrors = validateData(file, data[file]);
+    if (fileErrors.length > 0) errors[file] = fileErrors;
+  }
+
+  for (const [file, fileErrors] of Object.entries(checkReferences(data))) {
+    errors[file] = (errors[file] || []).concat(fileErrors);
+  }
+  return errors;
+}
+
+module.exports = {
+  DATA_FILES,
+  DataContractError,
+  validateData,
+  assertValid,
+  checkReferences,
+  validateAll,
+};
@@ -0,0 +1,135 @@
+/**
+ * PM Wisdom Engine - Vocabulary
+ *
+ * The shared dictionary of synonyms, acronyms and topic keywords, kept in
+ * config/vocabulary.json:
+ *
+ *   {
+ *     "synonyms": [["product-market fit", "PMF", "market fit"]],
+ *     "topics": { "Pricing": ["pric*", "monetiz*", "freemium"] }
+ *   }
+ *
+ * Every entry of a synonym group means the same thing, so search indexes
+ * and queries each group under one key. Topic keywords tag episodes at
+ * ingest and steer the Decision Simulator. Entries match whole words,
+ * case-insensitively, with spaces and hyphens interchangeable; a trailing
+ * "*" also matches longer words ("monetiz*" finds "monetization").
+ *
+ * Runs in Node and in the browser (window.PMVocabulary); build-app ships
+ * the dictionary in the bundle.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('fs'), require('path'));
+  } else {
+    root.PMVocabulary = factory();
+  }
+})(this, function (fs, path) {
+  const DEFAULT_VOCABULARY_FILE = path ? path.join(__dirname, '../config/vocabulary.json') : null;
+
+  /**
+   * Regular expression source for one dictionary entry
+   */
+  function entrySource(entry) {
+    const prefix = entry.endsWith('*');
+    const words = entry.replace(/\*$/, '').trim().split(/[\s-]+/)
+      .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return `(?<![\\w])${words.join('[\\s-]+')}${prefix ? '[\\w-]*' : '(?![\\w])'}`;
+  }
+
+  /**
+   * Index key for a synonym group: its first entry as one lowercase word
+   */
+  function synonymKey(group) {
+    return group[0].toLowerCase().replace(/[^a-z0-9]+/g, '');
+  }
+
+  /**
+   * Check a parsed dictionary's shape, naming the first problem found
+   */
+  function checkVocabulary(raw, name = 'vocabulary') {
+    const isWords = list => Array.isArray(list) && list.length > 0 && list.every(entry => typeof entry === 'string' && entry.trim());
+    (raw.synonyms || []).forEach((group, i) => {
+      if (!isWords(group)) throw new Error(`${name}: synonyms[${i}] must be a list of words`);
+    });
+    for (const [topic, keywords] of Object.entries(raw.topics || {})) {
+      if (!isWords(keywords)) throw new Error(`${name}: topics["${topic}"] must be a list of keywords`);
+    }
+    return raw;
+  }
+
+  /**
+   * Load the dictionary file (Node only). A missing file gives an empty dictionary.
+   */
+  function loadVocabulary(filePath = DEFAULT_VOCABULARY_FILE) {
+    if (!fs.existsSync(filePath)) return { synonyms: [], topics: {} };
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Could not parse ${path.basename(filePath)}: ${error.message}`);
+    }
+    return checkVocabulary(raw, path.basename(filePath));
+  }
+
+  /**
+   * Compile a dictionary into matchers
+   */
+  function compileVocabulary(raw = {}) {
+    return {
+      synonyms: (raw.synonyms || []).map(group => ({
+        key: synonymKey(group),
+        terms: group,
+        pattern: new RegExp(group.map(entrySource).join('|'), 'i'),
+      })),
+      topics: Object.entries(raw.topics || {}).map(([name, keywords]) => ({
+        name,
+        keywords: keywords.map(keyword => ({
+          word: keyword.replace(/\*$/, ''),
+          pattern: new RegExp(entrySource(keyword), 'gi'),
+        })),
+      })),
+    };
+  }
+
+  /**
+   * Keys of the synonym groups a text mentions
+   */
+  function synonymKeys(vocabulary, text) {
+    if (!vocabulary || !text) return [];
+    return vocabulary.synonyms.filter(group => group.pattern.test(text)).map(group => group.key);
+  }
+
+  /**
+   * Topics a text mentions, most mentioned first, as { topic, mentions, keywords }
+   * where keywords are the first word found for each matching entry
+   */
+  function findTopics(vocabulary, text) {
+    if (!vocabulary || !text) return [];
+    const found = [];
+    for (const topic of vocabulary.topics) {
+      let mentions = 0;
+      const keywords = [];
+      for (const keyword of topic.keywords) {
+        const matches = text.match(keyword.pattern) || [];
+        if (matches.length > 0) {
+          mentions += matches.length;
+          keywords.push(matches[0].toLowerCase());
+        }
+      }
+      if (mentions > 0) found.push({ topic: topic.name, mentions, keywords });
+    }
+    return found.sort((a, b) => b.mentions - a.mentions);
+  }
+
+  return {
+    DEFAULT_VOCABULARY_FILE,
+    entrySource,
+    checkVocabulary,
+    loadVocabulary,
+    compileVocabulary,
+    synonymKeys,
+    findTopics,
+  };
+});
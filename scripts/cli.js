@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+/**
+ * PM Wisdom Engine - Command Line
+ *
+ * Queries the knowledge base in data/ from a terminal. Search and advice
+ * use the app's own ranking (lib/engine.js), so both give the same answers.
+ *
+ * Usage: pm-wisdom search "<query>" [--mode hybrid|keyword|semantic] [--show <show>]
+ *                  [--stage <stage>] [--from YYYY-MM-DD] [--to YYYY-MM-DD]
+ *                  [--company <company>] [--sort new|old] [--limit 10] [--page 1]
+ *        pm-wisdom episode <id> [--transcript]
+ *        pm-wisdom framework <name>
+ *        pm-wisdom debate <id>
+ *        pm-wisdom advise "<situation>" [--stage senior] [--company series-b]
+ *        pm-wisdom random [--show <show>]
+ *
+ * Every command takes --json for machine-readable output, --data <dir> to
+ * read another data directory and --include-sponsors to keep ad reads.
+ */
+
+const { parseArgs } = require('../lib/config');
+const { loadCorpus, findEpisode, findFramework, watchUrl } = require('../lib/corpus');
+const { createEngine, CAREER_STAGES, COMPANY_STAGES } = require('../lib/engine');
+const { formatTimestamp } = require('../lib/formats');
+
+const USAGE = `Usage: pm-wisdom <command> [options]
+
+Commands:
+  search "<query>"        Ranked search over segments and insights
+  episode <id>            One episode (full ID or guest folder, e.g. brian-chesky)
+  framework <name>        One framework and where it comes up
+  debate <id>             Both sides of an expert debate
+  advise "<situation>"    Decision Simulator advice (--stage, --company)
+  random                  A random insight
+
+Options:
+  --json                  Machine-readable output
+  --data <dir>            Read another data directory
+  --include-sponsors      Keep sponsor reads in results
+
+Career stages: ${Object.keys(CAREER_STAGES).join(', ')}
+Company stages: ${Object.keys(COMPANY_STAGES).join(', ')}`;
+
+const DEFAULT_LIMIT = 10;
+
+/**
+ * Collapse whitespace and cut long text at a word boundary
+ */
+function truncate(text, length) {
+  const flat = String(text || '').replace(/\s+/g, ' ').trim();
+  if (flat.length <= length) return flat;
+  return `${flat.slice(0, flat.lastIndexOf(' ', length) > 0 ? flat.lastIndexOf(' ', length) : length)}...`;
+}
+
+function requireArgument(value, what) {
+  if (!value) throw new Error(`Missing ${what}.\n\n${USAGE}`);
+  return value;
+}
+
+function positiveInt(value, fallback, flag) {
+  if (value === undefined) return fallback;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) throw new Error(`--${flag} must be a positive whole number`);
+  return n;
+}
+
+const commands = {
+  search(engine, [query], flags) {
+    requireArgument(query, 'search query');
+    const limit = positiveInt(flags.limit, DEFAULT_LIMIT, 'limit');
+    const page = positiveInt(flags.page, 1, 'page');
+    const { results, episodes, frameworks } = engine.search(query, {
+      mode: flags.mode || 'hybrid',
+      show: flags.show,
+      stage: flags.stage,
+      from: flags.from,
+      to: flags.to,
+      company: flags.company,
+      sort: flags.sort,
+      includeSponsors: Boolean(flags.includeSponsors),
+    });
+    const start = (page - 1) * limit;
+    const shown = results.slice(start, start + limit).map(r => ({
+      type: r.insight ? 'insight' : 'segment',
+      id: r.insight ? r.n : r.id,
+      guest: r.guest,
+      episode_id: r.episode_id,
+      time: r.estimated_time || null,
+      text: r.text,
+      url: watchUrl(r.video_id, r.estimated_time),
+    }));
+
+    return {
+      json: {
+        query,
+        total: results.length,
+        page,
+        limit,
+        results: shown,
+        episodes: episodes.slice(0, 5).map(ep => ({ id: ep.id, guest: ep.guest, title: ep.title })),
+        frameworks: frameworks.slice(0, 5).map(f => f.name),
+      },
+      text() {
+        const lines = [`🔍 ${results.length} results for "${query}"${results.length > shown.length ? ` (showing ${shown.length ? `${start + 1}-${start + shown.length}` : 'none'})` : ''}`];
+        if (frameworks.length || episodes.length) {
+          lines.push(`   Also matching: ${frameworks.slice(0, 4).map(f => `🧠 ${f.name}`).concat(episodes.slice(0, 4).map(ep => `📚 ${ep.guest}`)).join('  ')}`);
+        }
+        shown.forEach((r, i) => {
+          lines.push('', `${start + i + 1}. ${r.type === 'insight' ? '💡 ' : ''}${r.guest || 'Guest'}${r.time ? ` · ${formatTimestamp(r.time)}` : ''}  [${r.episode_id}]`);
+          lines.push(`   ${truncate(r.text, 300)}`);
+          if (r.url) lines.push(`   ▶ ${r.url}`);
+        });
+        return lines.join('\n');
+      },
+    };
+  },
+
+  episode(engine, [id], flags) {
+    const episode = findEpisode(engine.data, requireArgument(id, 'episode ID'));
+    if (!episode) throw new Error(`No episode "${id}"`);
+    const { transcript, turns, ...meta } = episode;
+    const frameworks = engine.frameworksFor(episode.id);
+
+    return {
+      json: { ...meta, frameworks, url: watchUrl(episode.video_id), ...(flags.transcript ? { transcript } : {}) },
+      text() {
+        const people = (episode.guests || []).map(p => [p.name, [p.role, p.company].filter(Boolean).join(', ')].filter(Boolean).join(' - '));
+        const lines = [`📚 ${episode.title}`, '', `   ID:         ${episode.id}`, `   Show:       ${episode.channel}`];
+        lines.push(`   Guests:     ${people.join('; ') || episode.guest}`);
+        if (episode.published_at) lines.push(`   Published:  ${episode.published_at}`);
+        if (episode.duration) lines.push(`   Duration:   ${episode.duration}`);
+        if (episode.view_count) lines.push(`   Views:      ${episode.view_count.toLocaleString('en-US')}`);
+        if ((episode.topics || []).length) lines.push(`   Topics:     ${episode.topics.join(', ')}`);
+        if (frameworks.length) lines.push(`   Frameworks: ${frameworks.join(', ')}`);
+        if (episode.video_id) lines.push(`   ▶ ${watchUrl(episode.video_id)}`);
+        if (episode.description) lines.push('', truncate(episode.description, 600));
+        if (flags.transcript) lines.push('', transcript || '');
+        return lines.join('\n');
+      },
+    };
+  },
+
+  framework(engine, nameParts) {
+    const name = requireArgument(nameParts.join(' '), 'framework name');
+    const framework = findFramework(engine.data, name);
+    if (!framework) throw new Error(`No framework "${name}". Known: ${engine.data.frameworks.map(f => f.name).join(', ')}`);
+    const episodes = (framework.episodes || []).map(e => ({
+      episode_id: e.episode_id,
+      guest: e.guest,
+      mentions: e.mentions,
+      explains: (e.defining || 0) > 0,
+      confidence: e.confidence ?? null,
+      context: (e.contexts || [])[0] || null,
+    }));
+
+    return {
+      json: {
+        name: framework.name,
+        creator: framework.creator,
+        description: framework.description,
+        total_mentions: framework.total_mentions,
+        guest_count: framework.guest_count,
+        episodes,
+      },
+      text() {
+        const lines = [`🧠 ${framework.name}`, `   ${framework.description}`, `   Created by ${framework.creator}`];
+        lines.push(`   ${framework.total_mentions} mentions by ${framework.guest_count} guests in ${episodes.length} episodes`);
+        episodes.forEach(e => {
+          lines.push('', `   • ${e.guest} (${e.mentions}x${e.explains ? ', explains it' : ''})  [${e.episode_id}]`);
+          if (e.context) lines.push(`     "${truncate(e.context, 240)}"`);
+        });
+        return lines.join('\n');
+      },
+    };
+  },
+
+  debate(engine, [id]) {
+    requireArgument(id, 'debate ID');
+    const debate = engine.data.contradictions.find(c => c.id === id);
+    if (!debate) throw new Error(`No debate "${id}". Known: ${engine.data.contradictions.map(c => c.id).join(', ')}`);
+    const side = position => ({
+      stance: position.stance,
+      typical_advice: position.typical_advice,
+      guest_count: position.guest_count,
+      guests: position.guests,
+      evidence: (position.evidence || []).map(e => ({ guest: e.guest, episode_id: e.episode_id, text: e.text })),
+    });
+
+    return {
+      json: { id: debate.id, topic: debate.topic, position_a: side(debate.position_a), position_b: side(debate.position_b), resolution_hint: debate.resolution_hint },
+      text() {
+        const lines = [`⚡ ${debate.topic}`];
+        for (const [label, position] of [['A', debate.position_a], ['B', debate.position_b]]) {
+          lines.push('', `   ${label}: ${position.stance} (${position.guest_count} guests)`, `      ${position.typical_advice}`);
+          (position.evidence || []).slice(0, 3).forEach(e => lines.push(`      • ${e.guest}: "${truncate(e.text, 200)}"`));
+        }
+        if (debate.resolution_hint) lines.push('', `💡 The Real Answer: ${debate.resolution_hint}`);
+        return lines.join('\n');
+      },
+    };
+  },
+
+  advise(engine, [situation], flags) {
+    requireArgument(situation, 'situation to advise on');
+    if (flags.stage && !CAREER_STAGES[flags.stage]) {
+      throw new Error(`Unknown --stage "${flags.stage}". Use one of: ${Object.keys(CAREER_STAGES).join(', ')}`);
+    }
+    if (flags.company && !COMPANY_STAGES[flags.company]) {
+      throw new Error(`Unknown --company "${flags.company}". Use one of: ${Object.keys(COMPANY_STAGES).join(', ')}`);
+    }
+    const advice = engine.advise(situation, {
+      stage: flags.stage,
+      company: flags.company,
+      show: flags.show,
+      includeSponsors: Boolean(flags.includeSponsors),
+    }).map(a => ({ ...a, url: watchUrl(a.video_id, a.time) }));
+
+    return {
+      json: { situation, stage: flags.stage || null, company: flags.company || null, advice },
+      text() {
+        if (advice.length === 0) return '🤔 No specific advice found. Try rephrasing, or use search.';
+        const lines = [`🎯 ${advice.length} perspectives found`];
+        advice.forEach(a => {
+          lines.push('', `${a.relevance === 'high' ? '🎯' : '👍'} ${a.guest}${a.time ? ` · ${formatTimestamp(a.time)}` : ''}  [${a.episode_id}]`);
+          lines.push(`   ${a.context}`, `   "${truncate(a.quote, 300)}"`, `   💡 ${a.why}`);
+          if (a.url) lines.push(`   ▶ ${a.url}`);
+        });
+        return lines.join('\n');
+      },
+    };
+  },
+
+  random(engine, args, flags) {
+    const insights = engine.data.insights.filter(i => !flags.show || (engine.episode(i.episode_id) || {}).channel === flags.show);
+    if (insights.length === 0) throw new Error('No insights to choose from');
+    const insight = insights[Math.floor(Math.random() * insights.length)];
+    const episode = engine.episode(insight.episode_id) || {};
+
+    return {
+      json: { ...insight, url: watchUrl(episode.video_id, insight.estimated_time) },
+      text() {
+        return [`💡 "${truncate(insight.text, 600)}"`, `   — ${insight.guest}  [${insight.episode_id}]`, episode.video_id ? `   ▶ ${watchUrl(episode.video_id, insight.estimated_time)}` : null]
+          .filter(Boolean).join('\n');
+      },
+    };
+  },
+};
+
+function main(argv = process.argv.slice(2)) {
+  const { flags, positional } = parseArgs(argv);
+  const [command, ...args] = positional;
+
+  if (!command || flags.help || command === 'help') {
+    console.log(USAGE);
+    return;
+  }
+  if (!commands[command]) {
+    throw new Error(`Unknown command "${command}".\n\n${USAGE}`);
+  }
+
+  const data = loadCorpus(flags.data ? { dataDir: flags.data } : {});
+  const output = commands[command](createEngine(data), args, flags);
+  console.log(flags.json ? JSON.stringify(output.json, null, 2) : output.text());
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+/**
+ * PM Wisdom Engine - Framework Discovery
+ *
+ * Mines the transcripts for named concepts that config/frameworks.json
+ * doesn't know yet and writes them, ranked by how many guests use them,
+ * to data/framework-candidates.json (see lib/discovery.js).
+ *
+ * That file is the review queue. Promote a candidate to start extracting
+ * it as a framework, or reject it to stop it being suggested.
+ *
+ * Usage: npm run discover [-- --limit 20] [--min-guests 2]
+ *        npm run discover -- --promote "<candidate>" [--name "<framework name>"] [--creator "<who>"]
+ *                            [--description "<what>"] [--stages mid,senior] [--related "JTBD,OKRs"]
+ *        npm run discover -- --reject "<candidate>"
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadConfig } = require('../lib/config');
+const { discoverFrameworks, findCandidate, promoteCandidate, rejectCandidate, CANDIDATES_FILE } = require('../lib/discovery');
+
+const CONFIG = {
+  dataDir: path.join(__dirname, '../data'),
+};
+
+const DEFAULT_LIMIT = 20;
+
+function list(value) {
+  return value === undefined ? undefined : [].concat(value).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Promote or reject one candidate from the current queue, and take it off the queue
+ */
+function review(options) {
+  const queuePath = path.join(CONFIG.dataDir, CANDIDATES_FILE);
+  if (!fs.existsSync(queuePath)) {
+    throw new Error(`${CANDIDATES_FILE} not found. Run npm run discover first.`);
+  }
+  const queue = JSON.parse(fs.readFileSync(queuePath, 'utf-8'));
+  const wanted = String(options.promote || options.reject);
+  const candidate = findCandidate(queue, wanted);
+  if (!candidate) throw new Error(`No candidate "${wanted}" in the review queue`);
+
+  if (options.promote) {
+    const framework = promoteCandidate(candidate, {
+      name: typeof options.name === 'string' ? options.name : undefined,
+      creator: options.creator,
+      description: options.description,
+      stages: list(options.stages),
+      related: list(options.related),
+    });
+    console.log(`✅ Added "${framework.name}" to config/frameworks.json${framework.aliases ? ` (also matching ${framework.aliases.join(', ')})` : ''}`);
+    console.log('   Run npm run all to extract it and rebuild the app.');
+  } else {
+    rejectCandidate(candidate);
+    console.log(`🚫 Rejected "${candidate.name}"; discovery won't suggest it again`);
+  }
+
+  fs.writeFileSync(queuePath, JSON.stringify(queue.filter(c => c !== candidate), null, 2));
+}
+
+function discover() {
+  console.log('🔭 PM Wisdom Engine - Framework Discovery');
+  console.log('=========================================\n');
+
+  const options = loadConfig();
+  if (options.promote || options.reject) {
+    review(options);
+    return;
+  }
+
+  const { candidates } = discoverFrameworks({
+    dataDir: CONFIG.dataDir,
+    minGuests: options.minGuests || 1,
+    includeSponsors: Boolean(options.includeSponsors),
+    full: Boolean(options.full),
+    log: console.log,
+  });
+  console.log(`\n💾 Saved ${candidates.length} candidates to ${path.join(CONFIG.dataDir, CANDIDATES_FILE)}`);
+
+  const limit = Number(options.limit || DEFAULT_LIMIT);
+  if (candidates.length > 0) console.log(`\n📋 Review queue (top ${Math.min(limit, candidates.length)}):`);
+  candidates.slice(0, limit).forEach((c, i) => {
+    console.log(`   ${i + 1}. ${c.name} (${c.guest_count} guests, ${c.mentions} mentions, ${c.sources.join(' + ')})`);
+    if (c.samples[0]) console.log(`      "${c.samples[0].text.slice(0, 140)}" — ${c.samples[0].guest}`);
+  });
+
+  console.log('\n✨ Discovery complete! Promote with --promote "<name>" or dismiss with --reject "<name>".');
+}
+
+try {
+  discover();
+} catch (error) {
+  console.error(`\n❌ ${error.message}`);
+  process.exit(1);
+}
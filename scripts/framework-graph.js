@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+/**
+ * PM Wisdom Engine - Framework Graph
+ * 
+ * Connects the extracted frameworks: which ones guests mention together,
+ * in the same episode or segment, and which ones they compare
+ * (see lib/framework-graph.js). Run npm run extract first.
+ * 
+ * Sponsor reads tagged at ingest are skipped; pass --include-sponsors to keep them.
+ * 
+ * Usage: npm run graph
+ */
+
+const path = require('path');
+const { loadConfig } = require('../lib/config');
+const { buildFrameworkGraph, GRAPH_FILE } = require('../lib/framework-graph');
+
+const CONFIG = {
+  dataDir: path.join(__dirname, '../data'),
+};
+
+function run() {
+  console.log('🕸️  PM Wisdom Engine - Framework Graph');
+  console.log('======================================\n');
+  
+  const options = loadConfig();
+  const { edges } = buildFrameworkGraph({
+    dataDir: CONFIG.dataDir,
+    includeSponsors: Boolean(options.includeSponsors),
+    log: console.log,
+  });
+  
+  console.log(`\n💾 Saved ${edges.length} connections to ${path.join(CONFIG.dataDir, GRAPH_FILE)}`);
+  console.log('\n✨ Framework graph complete!');
+}
+
+try {
+  run();
+} catch (error) {
+  console.error(`\n❌ ${error.message}`);
+  process.exit(1);
+}
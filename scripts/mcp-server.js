@@ -0,0 +1,349 @@
+#!/usr/bin/env node
+/**
+ * PM Wisdom Engine - MCP Server
+ *
+ * Gives AI assistants grounded access to the knowledge base over the Model
+ * Context Protocol (JSON-RPC 2.0, one message per line on stdin/stdout).
+ * Tools:
+ *
+ *   search_wisdom            Ranked search, as in the app
+ *   get_episode_transcript   An episode's speaker turns, a page at a time
+ *   list_frameworks          Frameworks and the episodes that discuss them
+ *   get_debate               Both sides of an expert debate (or the list of debates)
+ *   simulate_decision        Decision Simulator advice for a situation
+ *
+ * Every quote carries its guest, episode ID, timestamp and a YouTube link to
+ * that moment, so answers can be cited and checked.
+ *
+ * Usage: npm run -s mcp [-- --data <dir>]
+ * Register it with an assistant as the command `node /path/to/scripts/mcp-server.js`.
+ */
+
+const readline = require('readline');
+const { parseArgs } = require('../lib/config');
+const { loadCorpus, findEpisode, watchUrl } = require('../lib/corpus');
+const { createEngine, CAREER_STAGES, COMPANY_STAGES } = require('../lib/engine');
+const { formatTimestamp } = require('../lib/formats');
+const { parseTimestamp } = require('../lib/turns');
+const { version } = require('../package.json');
+
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+const TURNS_PER_PAGE = 100;
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+class RpcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// A tool that can't answer; reported to the assistant, not as a protocol error
+class ToolError extends Error {}
+
+/**
+ * Where a quote is said in its episode, in seconds. A quote that opens with
+ * a speaker label ("Ada Lee (00:04:10):") says so itself; otherwise its first
+ * words are found in the transcript and the enclosing turn's start is used.
+ */
+function momentOf(episode, text) {
+  if (!text) return null;
+  const label = String(text).match(/^\s*[^\n():]{0,80}\((\d{1,2}:\d{2}(?::\d{2})?)\):/);
+  if (label) return parseTimestamp(label[1]);
+  if (!episode || !episode.transcript) return null;
+  const words = (String(text).match(/[\w']+/g) || []).slice(0, 8);
+  if (words.length === 0) return null;
+  const match = new RegExp(words.join("[^\\w']+")).exec(episode.transcript);
+  if (!match) return null;
+  let start = null;
+  for (const turn of episode.turns || []) {
+    if (turn.offset > match.index) break;
+    start = turn.start;
+  }
+  return start;
+}
+
+/**
+ * Guest, episode ID, timestamp and link for a quote
+ */
+function citation(engine, { guest, episode_id: episodeId, time, text }) {
+  const episode = engine.episode(episodeId);
+  const seconds = time !== undefined && time !== null ? time : momentOf(episode, text);
+  return {
+    guest: guest || (episode && episode.guest) || null,
+    episode_id: episodeId,
+    episode_title: episode ? episode.title : null,
+    timestamp: seconds !== null ? formatTimestamp(seconds) : null,
+    url: watchUrl(episode && episode.video_id, seconds),
+  };
+}
+
+function limitOf(args, fallback = DEFAULT_LIMIT) {
+  if (args.limit === undefined) return fallback;
+  if (!Number.isInteger(args.limit) || args.limit < 1) throw new ToolError('limit must be a positive whole number');
+  return Math.min(args.limit, MAX_LIMIT);
+}
+
+function requireString(args, name) {
+  if (typeof args[name] !== 'string' || !args[name].trim()) throw new ToolError(`Missing ${name}`);
+  return args[name];
+}
+
+const stageProperty = {
+  type: 'string',
+  enum: Object.keys(CAREER_STAGES),
+  description: 'Career stage of the person asking',
+};
+const companyProperty = {
+  type: 'string',
+  enum: Object.keys(COMPANY_STAGES),
+  description: 'Stage of their company',
+};
+const showProperty = { type: 'string', description: "Only this podcast (e.g. \"Lenny's Podcast\")" };
+const limitProperty = { type: 'integer', minimum: 1, maximum: MAX_LIMIT, description: `How many results (default ${DEFAULT_LIMIT})` };
+
+const tools = {
+  search_wisdom: {
+    description: 'Search podcast transcripts and insights for product management advice. Supports guest:, topic: and framework: filters, "quoted phrases", -exclusions and OR. Returns quotes, best first, each with guest, episode ID and a timestamped YouTube link.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'What to search for' },
+        mode: { type: 'string', enum: ['hybrid', 'keyword', 'semantic'], description: 'Match words, meaning, or both (default)' },
+        show: showProperty,
+        stage: stageProperty,
+        from: { type: 'string', description: 'Published on or after (YYYY-MM-DD)' },
+        to: { type: 'string', description: 'Published on or before (YYYY-MM-DD)' },
+        company: { type: 'string', description: "A guest's company" },
+        limit: limitProperty,
+      },
+      required: ['query'],
+    },
+    call(engine, args) {
+      const query = requireString(args, 'query');
+      const { results } = engine.search(query, {
+        mode: args.mode || 'hybrid',
+        show: args.show,
+        stage: args.stage,
+        from: args.from,
+        to: args.to,
+        company: args.company,
+      });
+      return {
+        query,
+        total: results.length,
+        results: results.slice(0, limitOf(args)).map(r => ({
+          text: r.text,
+          ...citation(engine, { guest: r.guest, episode_id: r.episode_id, time: r.estimated_time, text: r.text }),
+        })),
+      };
+    },
+  },
+
+  get_episode_transcript: {
+    description: `Read an episode's transcript as timestamped speaker turns, ${TURNS_PER_PAGE} turns at a time. Each turn has a YouTube link to its moment.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        episode_id: { type: 'string', description: 'Episode ID (e.g. "lennys-podcast:brian-chesky") or guest folder ("brian-chesky")' },
+        start: { type: 'integer', minimum: 0, description: 'Start at this many seconds into the episode (default 0)' },
+      },
+      required: ['episode_id'],
+    },
+    call(engine, args) {
+      const episode = findEpisode(engine.data, requireString(args, 'episode_id'));
+      if (!episode) throw new ToolError(`No episode "${args.episode_id}"`);
+      const from = args.start || 0;
+      const turns = (episode.turns || []).filter(turn => turn.start === null || turn.start === undefined || turn.start >= from);
+      const page = turns.slice(0, TURNS_PER_PAGE);
+      const next = turns[TURNS_PER_PAGE];
+      return {
+        guest: episode.guest,
+        episode_id: episode.id,
+        episode_title: episode.title,
+        show: episode.channel,
+        published_at: episode.published_at || null,
+        url: watchUrl(episode.video_id),
+        turns: page.map(turn => ({
+          speaker: turn.speaker,
+          timestamp: turn.start !== null && turn.start !== undefined ? formatTimestamp(turn.start) : null,
+          url: watchUrl(episode.video_id, turn.start),
+          text: turn.text,
+        })),
+        next_start: next && next.start !== undefined ? next.start : null,
+      };
+    },
+  },
+
+  list_frameworks: {
+    description: 'List named PM frameworks (RICE, JTBD, North Star Metric...) with their creator, description and the episodes that discuss them, deepest discussion first, each with a timestamped link to the mention and whether the guest explains the framework or only names it.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Only frameworks whose name contains this' },
+        guest: { type: 'string', description: 'Only frameworks this guest discusses' },
+        limit: limitProperty,
+      },
+    },
+    call(engine, args) {
+      let frameworks = engine.data.frameworks;
+      if (args.name) {
+        const name = args.name.toLowerCase();
+        frameworks = frameworks.filter(f => f.name.toLowerCase().includes(name));
+      }
+      if (args.guest) {
+        const guest = args.guest.toLowerCase();
+        frameworks = frameworks.filter(f => (f.episodes || []).some(e => (e.guest || '').toLowerCase().includes(guest)));
+      }
+      return {
+        total: frameworks.length,
+        frameworks: frameworks.slice(0, limitOf(args, MAX_LIMIT)).map(f => ({
+          name: f.name,
+          creator: f.creator,
+          description: f.description,
+          total_mentions: f.total_mentions,
+          mentions: (f.episodes || []).map(e => ({
+            ...citation(engine, { guest: e.guest, episode_id: e.episode_id, text: (e.contexts || [])[0] }),
+            context: (e.contexts || [])[0] || null,
+            explains: (e.defining || 0) > 0,
+            confidence: e.confidence ?? null,
+          })),
+        })),
+      };
+    },
+  },
+
+  get_debate: {
+    description: 'Get an expert debate: two opposing positions, the guests on each side with cited quotes, and how to reconcile them. Without an ID, lists the debates.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', description: 'Debate ID, from the list' },
+      },
+    },
+    call(engine, args) {
+      const debates = engine.data.contradictions;
+      if (!args.id) {
+        return { debates: debates.map(c => ({ id: c.id, topic: c.topic, positions: [c.position_a.stance, c.position_b.stance] })) };
+      }
+      const debate = debates.find(c => c.id === args.id);
+      if (!debate) throw new ToolError(`No debate "${args.id}". Known: ${debates.map(c => c.id).join(', ')}`);
+      const side = position => ({
+        stance: position.stance,
+        typical_advice: position.typical_advice,
+        guest_count: position.guest_count,
+        evidence: (position.evidence || []).map(e => ({ text: e.text, ...citation(engine, e) })),
+      });
+      return {
+        id: debate.id,
+        topic: debate.topic,
+        position_a: side(debate.position_a),
+        position_b: side(debate.position_b),
+        resolution_hint: debate.resolution_hint,
+      };
+    },
+  },
+
+  simulate_decision: {
+    description: "Describe a product decision or situation and get advice from guests who faced it, ranked as in the app's Decision Simulator. Each piece of advice has guest, episode ID and a timestamped link.",
+    inputSchema: {
+      type: 'object',
+      properties: {
+        situation: { type: 'string', description: 'The situation, in plain words' },
+        stage: stageProperty,
+        company: companyProperty,
+        show: showProperty,
+        limit: limitProperty,
+      },
+      required: ['situation'],
+    },
+    call(engine, args) {
+      const situation = requireString(args, 'situation');
+      const advice = engine.advise(situation, {
+        stage: args.stage,
+        company: args.company,
+        show: args.show,
+        limit: limitOf(args, undefined),
+      });
+      return {
+        situation,
+        advice: advice.map(a => ({
+          quote: a.quote,
+          why: a.why,
+          relevance: a.relevance,
+          ...citation(engine, { guest: a.guest, episode_id: a.episode_id, time: a.time, text: a.quote }),
+        })),
+      };
+    },
+  },
+};
+
+/**
+ * Answer one JSON-RPC request; returns the result or throws an RpcError
+ */
+function dispatch(getEngine, method, params = {}) {
+  switch (method) {
+    case 'initialize':
+      return {
+        protocolVersion: PROTOCOL_VERSIONS.includes(params.protocolVersion) ? params.protocolVersion : PROTOCOL_VERSIONS[0],
+        capabilities: { tools: {} },
+        serverInfo: { name: 'pm-wisdom-engine', version },
+      };
+    case 'ping':
+      return {};
+    case 'tools/list':
+      return {
+        tools: Object.entries(tools).map(([name, tool]) => ({ name, description: tool.description, inputSchema: tool.inputSchema })),
+      };
+    case 'tools/call': {
+      const tool = tools[params.name];
+      if (!tool) throw new RpcError(INVALID_PARAMS, `Unknown tool: ${params.name}`);
+      try {
+        const result = tool.call(getEngine(), params.arguments || {});
+        return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }], structuredContent: result };
+      } catch (error) {
+        if (!(error instanceof ToolError)) console.error(`❌ ${params.name}: ${error.message}`);
+        return { content: [{ type: 'text', text: error.message }], isError: true };
+      }
+    }
+    default:
+      throw new RpcError(METHOD_NOT_FOUND, `Method not found: ${method}`);
+  }
+}
+
+function main() {
+  const { flags } = parseArgs(process.argv.slice(2));
+  let engine = null;
+  // Load on first use so the assistant's handshake isn't kept waiting on index builds
+  const getEngine = () => engine || (engine = createEngine(loadCorpus(flags.data ? { dataDir: flags.data } : {})));
+  const reply = message => process.stdout.write(`${JSON.stringify({ jsonrpc: '2.0', ...message })}\n`);
+
+  readline.createInterface({ input: process.stdin }).on('line', line => {
+    if (!line.trim()) return;
+    let request;
+    try {
+      request = JSON.parse(line);
+    } catch (error) {
+      reply({ id: null, error: { code: PARSE_ERROR, message: 'Parse error' } });
+      return;
+    }
+    // Notifications (no id) such as notifications/initialized need no answer
+    if (request.id === undefined) return;
+    try {
+      reply({ id: request.id, result: dispatch(getEngine, request.method, request.params) });
+    } catch (error) {
+      if (!(error instanceof RpcError)) console.error(`❌ ${request.method}: ${error.stack}`);
+      reply({ id: request.id, error: { code: error instanceof RpcError ? error.code : INTERNAL_ERROR, message: error.message } });
+    }
+  });
+  console.error('🧠 PM Wisdom MCP server ready on stdio');
+}
+
+main();
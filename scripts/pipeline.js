@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+/**
+ * PM Wisdom Engine - Pipeline Runner
+ *
+ * Runs ingest → extract → graph / contradictions → build, skipping stages whose
+ * inputs haven't changed since the last run (see lib/pipeline.js), and
+ * writes a run report to data/run-report.json.
+ *
+ * Usage: npm run all
+ *        npm run all -- --only extract          (just this stage; repeat or comma-separate for more)
+ *        npm run all -- --from contradictions   (this stage and every one after it)
+ *        npm run all -- --force                 (run every stage even if nothing changed)
+ *
+ * Ingest options (--source, --show, --sample, --full) and --include-sponsors
+ * are passed on to the stages.
+ */
+
+const path = require('path');
+const { loadConfig } = require('../lib/config');
+const { runPipeline, REPORT_FILE } = require('../lib/pipeline');
+
+const CONFIG = {
+  dataDir: path.join(__dirname, '../data'),
+};
+
+const STATUS_ICONS = { ran: '✅', skipped: '⏭️ ', failed: '❌', blocked: '⛔', 'not selected': '➖' };
+
+function formatCounts(counts = {}) {
+  return Object.entries(counts).map(([key, value]) => (key === 'size_kb' ? `${value} KB` : `${value} ${key}`)).join(', ');
+}
+
+function formatChanges(changes) {
+  const lines = [];
+  for (const [key, { before, after, change }] of Object.entries(changes.counts)) {
+    lines.push(`${key}: ${before} → ${after} (${change > 0 ? '+' : ''}${change})`);
+  }
+  for (const key of ['episodes', 'frameworks', 'debates']) {
+    if (!changes[key]) continue;
+    const { added, removed } = changes[key];
+    if (added.length) lines.push(`+ ${key}: ${added.slice(0, 5).join(', ')}${added.length > 5 ? `, …${added.length - 5} more` : ''}`);
+    if (removed.length) lines.push(`- ${key}: ${removed.slice(0, 5).join(', ')}${removed.length > 5 ? `, …${removed.length - 5} more` : ''}`);
+  }
+  return lines;
+}
+
+async function run() {
+  console.log('🏭 PM Wisdom Engine - Pipeline');
+  console.log('==============================\n');
+
+  const report = await runPipeline({ ...loadConfig(), dataDir: CONFIG.dataDir, log: console.log });
+
+  console.log('\n📋 Run report:');
+  for (const stage of report.stages) {
+    const time = stage.duration_ms !== undefined ? `${(stage.duration_ms / 1000).toFixed(1)}s` : '';
+    const detail = stage.error ? stage.error.split('\n')[0] : [stage.reason, formatCounts(stage.counts)].filter(Boolean).join(' · ');
+    console.log(`   ${STATUS_ICONS[stage.status]} ${stage.name.padEnd(15)} ${time.padStart(6)}  ${detail}`);
+  }
+  if (report.warnings > 0) console.log(`\n⚠️  ${report.warnings} warnings (see the report)`);
+
+  if (report.changes) {
+    const lines = formatChanges(report.changes);
+    console.log(`\n🔄 Since the last run: ${lines.length ? '' : 'no changes'}`);
+    lines.forEach(line => console.log(`   ${line}`));
+  }
+
+  console.log(`\n💾 Saved report to ${path.join(CONFIG.dataDir, REPORT_FILE)}`);
+  if (report.status === 'failed') process.exit(1);
+  console.log(`\n✨ Pipeline complete in ${(report.duration_ms / 1000).toFixed(1)}s`);
+}
+
+run().catch(error => {
+  console.error(`\n❌ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,312 @@
+#!/usr/bin/env node
+/**
+ * PM Wisdom Engine - HTTP API
+ *
+ * Serves the generated data as read-only JSON, ranked the way the app ranks
+ * it (lib/engine.js). The data files are watched and reloaded when a
+ * pipeline run rewrites them.
+ *
+ * Usage: npm run serve [-- --port 3000] [--host 127.0.0.1] [--data <dir>]
+ *
+ *   GET /api/search?q=<query>          mode, show, stage, from, to, company, sort, include_sponsors
+ *   GET /api/episodes                  show, guest, topic, from, to, company, sort
+ *   GET /api/episodes/:id              full ID or guest folder; transcript=1 adds the transcript
+ *   GET /api/segments/:id
+ *   GET /api/frameworks                q, guest, episode
+ *   GET /api/frameworks/:name
+ *   GET /api/debates                   q, guest
+ *   GET /api/debates/:id
+ *   GET /api/insights/random           show, guest
+ *   GET /api/advise?situation=<text>   stage, company, show, include_sponsors, limit
+ *
+ * Lists take page (from 1) and limit (default 20, at most 100) and answer
+ * { total, page, limit, results }. Errors answer { error } with a 4xx status.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { parseArgs } = require('../lib/config');
+const { DEFAULT_DATA_DIR, DATA_FILES, loadCorpus, findEpisode, findFramework, watchUrl } = require('../lib/corpus');
+const { createEngine, matchesMeta, byDate, CAREER_STAGES, COMPANY_STAGES } = require('../lib/engine');
+
+const DEFAULT_PORT = 3000;
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const RELOAD_DELAY_MS = 500;
+const SEARCH_MODES = ['hybrid', 'keyword', 'semantic'];
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function positiveInt(params, name, fallback, max = Infinity) {
+  if (!params.has(name)) return fallback;
+  const n = Number(params.get(name));
+  if (!Number.isInteger(n) || n < 1) throw new HttpError(400, `${name} must be a positive whole number`);
+  return Math.min(n, max);
+}
+
+/**
+ * Decode a path segment; a malformed escape (%E0%A4) is the client's mistake
+ */
+function pathParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    throw new HttpError(400, `Malformed URL: ${value}`);
+  }
+}
+
+function isOn(params, name) {
+  return ['1', 'true', 'yes'].includes(String(params.get(name)).toLowerCase());
+}
+
+function oneOf(params, name, allowed) {
+  const value = params.get(name);
+  if (value && !allowed.includes(value)) throw new HttpError(400, `${name} must be one of: ${allowed.join(', ')}`);
+  return value || undefined;
+}
+
+function contains(haystack, needle) {
+  return String(haystack || '').toLowerCase().includes(needle.toLowerCase());
+}
+
+/**
+ * One page of a list, with its total
+ */
+function paginate(items, params) {
+  const page = positiveInt(params, 'page', 1);
+  const limit = positiveInt(params, 'limit', DEFAULT_LIMIT, MAX_LIMIT);
+  return { total: items.length, page, limit, results: items.slice((page - 1) * limit, page * limit) };
+}
+
+/**
+ * Episode without its transcript and turns, which lists don't need
+ */
+function episodeSummary(episode) {
+  const { transcript, turns, ...summary } = episode;
+  return { ...summary, url: watchUrl(episode.video_id) };
+}
+
+function guestMatches(people, guest) {
+  return (people || []).some(p => (typeof p === 'string' ? contains(p, guest) : contains(p.name, guest) || p.id === guest));
+}
+
+const routes = [
+  ['/api/search', (engine, params) => {
+    const query = params.get('q');
+    if (!query) throw new HttpError(400, 'Missing q');
+    const { results, episodes, frameworks } = engine.search(query, {
+      mode: oneOf(params, 'mode', SEARCH_MODES) || 'hybrid',
+      show: params.get('show') || undefined,
+      stage: oneOf(params, 'stage', Object.keys(CAREER_STAGES)),
+      from: params.get('from') || undefined,
+      to: params.get('to') || undefined,
+      company: params.get('company') || undefined,
+      sort: oneOf(params, 'sort', ['new', 'old']),
+      includeSponsors: isOn(params, 'include_sponsors'),
+    });
+    const hits = results.map(r => ({
+      type: r.insight ? 'insight' : 'segment',
+      id: r.insight ? r.n : r.id,
+      guest: r.guest,
+      episode_id: r.episode_id,
+      time: r.estimated_time || null,
+      text: r.text,
+      url: watchUrl(r.video_id, r.estimated_time),
+    }));
+    return {
+      query,
+      ...paginate(hits, params),
+      episodes: episodes.map(ep => ({ id: ep.id, guest: ep.guest, title: ep.title })),
+      frameworks: frameworks.map(f => f.name),
+    };
+  }],
+
+  ['/api/episodes', (engine, params) => {
+    const show = params.get('show');
+    const guest = params.get('guest');
+    const topic = params.get('topic');
+    const meta = { from: params.get('from'), to: params.get('to'), company: params.get('company') };
+    const episodes = engine.data.episodes.filter(ep => (!show || ep.channel === show)
+      && (!guest || contains(ep.guest, guest) || guestMatches(ep.guests, guest))
+      && (!topic || (ep.topics || []).some(t => t.toLowerCase() === topic.toLowerCase()))
+      && matchesMeta(ep, meta));
+    const sort = oneOf(params, 'sort', ['new', 'old']);
+    if (sort) episodes.sort(byDate(sort, ep => ep.published_at));
+    return paginate(episodes.map(episodeSummary), params);
+  }],
+
+  ['/api/episodes/:id', (engine, params, id) => {
+    let episode;
+    try {
+      episode = findEpisode(engine.data, id);
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+    if (!episode) throw new HttpError(404, `No episode "${id}"`);
+    return {
+      ...episodeSummary(episode),
+      frameworks: engine.frameworksFor(episode.id),
+      ...(isOn(params, 'transcript') ? { transcript: episode.transcript } : {}),
+    };
+  }],
+
+  ['/api/segments/:id', (engine, params, id) => {
+    const segment = engine.data.segments.find(s => s.id === id);
+    if (!segment) throw new HttpError(404, `No segment "${id}"`);
+    const episode = engine.episode(segment.episode_id) || {};
+    return { ...segment, url: watchUrl(segment.video_id || episode.video_id, segment.estimated_time) };
+  }],
+
+  ['/api/frameworks', (engine, params) => {
+    const q = params.get('q');
+    const guest = params.get('guest');
+    const episodeId = params.get('episode');
+    const frameworks = engine.data.frameworks.filter(f => (!q || contains(f.name, q) || contains(f.description, q))
+      && (!guest || (f.episodes || []).some(e => contains(e.guest, guest) || (e.guest_ids || []).includes(guest)))
+      && (!episodeId || (f.episodes || []).some(e => e.episode_id === episodeId)));
+    return paginate(frameworks, params);
+  }],
+
+  ['/api/frameworks/:name', (engine, params, name) => {
+    let framework;
+    try {
+      framework = findFramework(engine.data, name);
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+    if (!framework) throw new HttpError(404, `No framework "${name}"`);
+    return framework;
+  }],
+
+  ['/api/debates', (engine, params) => {
+    const q = params.get('q');
+    const guest = params.get('guest');
+    const debates = engine.data.contradictions.filter(c => (!q || contains(c.topic, q) || contains(c.id, q))
+      && (!guest || [c.position_a, c.position_b].some(p => guestMatches(p.guests, guest))));
+    return paginate(debates, params);
+  }],
+
+  ['/api/debates/:id', (engine, params, id) => {
+    const debate = engine.data.contradictions.find(c => c.id === id);
+    if (!debate) throw new HttpError(404, `No debate "${id}"`);
+    return debate;
+  }],
+
+  ['/api/insights/random', (engine, params) => {
+    const show = params.get('show');
+    const guest = params.get('guest');
+    const insights = engine.data.insights.filter(i => (!show || (engine.episode(i.episode_id) || {}).channel === show)
+      && (!guest || contains(i.guest, guest)));
+    if (insights.length === 0) throw new HttpError(404, 'No insights match');
+    const insight = insights[Math.floor(Math.random() * insights.length)];
+    return { ...insight, url: watchUrl((engine.episode(insight.episode_id) || {}).video_id, insight.estimated_time) };
+  }],
+
+  ['/api/advise', (engine, params) => {
+    const situation = params.get('situation');
+    if (!situation) throw new HttpError(400, 'Missing situation');
+    const advice = engine.advise(situation, {
+      stage: oneOf(params, 'stage', Object.keys(CAREER_STAGES)),
+      company: oneOf(params, 'company', Object.keys(COMPANY_STAGES)),
+      show: params.get('show') || undefined,
+      includeSponsors: isOn(params, 'include_sponsors'),
+      limit: positiveInt(params, 'limit', undefined, MAX_LIMIT),
+    });
+    return { situation, results: advice.map(a => ({ ...a, url: watchUrl(a.video_id, a.time) })) };
+  }],
+].map(([pattern, handler]) => ({
+  pattern: new RegExp(`^${pattern.replace(/:\w+/g, '([^/]+)')}$`),
+  handler,
+}));
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Access-Control-Allow-Origin': '*',
+  });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Answer one request from the current engine
+ */
+function handle(getEngine, req, res) {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, { 'Access-Control-Allow-Origin': '*', 'Access-Control-Allow-Methods': 'GET' });
+    res.end();
+    return;
+  }
+  if (req.method !== 'GET') {
+    send(res, 405, { error: 'Only GET is supported' });
+    return;
+  }
+
+  const url = new URL(req.url, 'http://localhost');
+  const pathname = url.pathname.replace(/\/+$/, '');
+  try {
+    for (const { pattern, handler } of routes) {
+      const match = pathname.match(pattern);
+      if (match) {
+        send(res, 200, handler(getEngine(), url.searchParams, ...match.slice(1).map(pathParam)));
+        return;
+      }
+    }
+    throw new HttpError(404, `Not found: ${url.pathname}`);
+  } catch (error) {
+    if (!error.status) console.error(`❌ ${req.url}: ${error.stack}`);
+    send(res, error.status || 500, { error: error.status ? error.message : 'Internal error' });
+  }
+}
+
+/**
+ * Reload the data when a pipeline stage rewrites one of its files.
+ * A failed reload keeps serving the previous data.
+ */
+function watchData(dataDir, reload) {
+  const files = new Set(DATA_FILES.map(file => `${file}.json`));
+  let timer = null;
+  fs.watch(dataDir, (event, filename) => {
+    if (filename && !files.has(path.basename(filename))) return;
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      try {
+        reload();
+      } catch (error) {
+        console.error(`⚠️  Reload failed, still serving the previous data: ${error.message}`);
+      }
+    }, RELOAD_DELAY_MS);
+  });
+}
+
+function main() {
+  const { flags } = parseArgs(process.argv.slice(2));
+  const dataDir = flags.data ? path.resolve(flags.data) : DEFAULT_DATA_DIR;
+  const port = Number(flags.port || DEFAULT_PORT);
+  const host = flags.host || DEFAULT_HOST;
+
+  let engine = createEngine(loadCorpus({ dataDir }));
+  const reload = () => {
+    engine = createEngine(loadCorpus({ dataDir }));
+    console.log(`🔄 Reloaded data: ${engine.data.episodes.length} episodes, ${engine.data.segments.length} segments`);
+  };
+  watchData(dataDir, reload);
+
+  http.createServer((req, res) => handle(() => engine, req, res)).listen(port, host, () => {
+    console.log(`🌐 PM Wisdom API on http://${host}:${port}/api`);
+    console.log(`   ${engine.data.episodes.length} episodes, ${engine.data.segments.length} segments from ${dataDir}`);
+  });
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
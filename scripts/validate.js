@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * PM Wisdom Engine - Data Validator
+ *
+ * Checks every data file against its schema in schemas/ and makes sure
+ * segments, insights, frameworks and debates point at real episodes.
+ *
+ * Usage: npm run validate
+ *        npm run validate -- segments insights   (only these files)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadConfig } = require('../lib/config');
+const { DATA_FILES, validateAll } = require('../lib/validate');
+
+const CONFIG = {
+  dataDir: path.join(__dirname, '../data'),
+};
+
+function validate() {
+  console.log('🧪 PM Wisdom Engine - Data Validation');
+  console.log('=====================================\n');
+
+  const { positional } = loadConfig();
+  const unknown = positional.filter(file => !DATA_FILES.includes(file));
+  if (unknown.length > 0) {
+    console.error(`❌ Unknown data file(s): ${unknown.join(', ')} (expected ${DATA_FILES.join(', ')})`);
+    process.exit(1);
+  }
+  const requested = positional.length > 0 ? positional : DATA_FILES;
+
+  // Episodes are always loaded, since the reference checks need them
+  const data = {};
+  for (const file of new Set([...requested, 'episodes'])) {
+    const filePath = path.join(CONFIG.dataDir, `${file}.json`);
+    if (!fs.existsSync(filePath)) {
+      if (requested.includes(file)) console.log(`⚠️  ${file}.json not found, skipping`);
+      continue;
+    }
+    data[file] = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  }
+
+  const errors = validateAll(data);
+  let failed = 0;
+
+  for (const file of requested) {
+    if (data[file] === undefined) continue;
+    const fileErrors = errors[file] || [];
+    if (fileErrors.length === 0) {
+      console.log(`✅ ${file}.json`);
+      continue;
+    }
+
+    failed++;
+    console.log(`❌ ${file}.json (${fileErrors.length} problems)`);
+    fileErrors.slice(0, 10).forEach(e => console.log(`   • ${e}`));
+    if (fileErrors.length > 10) console.log(`   …and ${fileErrors.length - 10} more`);
+  }
+
+  if (failed > 0) {
+    console.log(`\n💥 ${failed} file(s) break the data contract`);
+    process.exit(1);
+  }
+  console.log('\n✨ All data matches the contract!');
+}
+
+validate();
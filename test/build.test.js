@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildApp } = require('../lib/build');
+
+test('the app bundles the registry it is given', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pm-wisdom-'));
+  const registryFile = path.join(dir, 'registry.json');
+  fs.writeFileSync(registryFile, JSON.stringify({
+    frameworks: [{ name: 'Team Canvas', description: 'Our own planning framework' }],
+  }));
+  const { html } = buildApp({ dataDir: dir, registryFile, write: false });
+  fs.rmSync(dir, { recursive: true });
+  assert.match(html, /"framework_registry":\[\{"name":"Team Canvas"/);
+});
@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findFramework } = require('../lib/corpus');
+
+const data = { frameworks: ['JTBD', 'North Star Metric', 'OKRs', 'ICE Framework', 'RICE Framework'].map(name => ({ name })) };
+
+test('frameworks are found by a registry alias, ignoring case', () => {
+  assert.equal(findFramework(data, 'jobs to be done').name, 'JTBD');
+  assert.equal(findFramework(data, 'ICE SCORE').name, 'ICE Framework');
+});
+
+test('frameworks are found by name, or a unique part of it', () => {
+  assert.equal(findFramework(data, 'okrs').name, 'OKRs');
+  assert.equal(findFramework(data, 'north').name, 'North Star Metric');
+  assert.throws(() => findFramework(data, 'ice'), /matches several frameworks/);
+  assert.equal(findFramework(data, 'kanban'), null);
+});
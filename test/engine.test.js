@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEngine } = require('../lib/engine');
+const { buildIndex } = require('../lib/search');
+const { buildSemanticIndex } = require('../lib/semantic');
+const { loadVocabulary, compileVocabulary } = require('../lib/vocabulary');
+const { chunkTranscript } = require('../lib/ingest');
+const { makeEpisode } = require('./helpers');
+
+function corpus() {
+  const episodes = [
+    makeEpisode('Lenny (00:00):\nHow do you find product market fit?\n\nAna Lee (00:10):\n' +
+      'Product market fit shows up in retention. We measured retention cohorts every week and talked to churned users.', { guest: 'Ana Lee' }),
+    makeEpisode('Lenny (00:00):\nHow do you prioritize?\n\nBo Chen (00:12):\n' +
+      'We prioritize with RICE scores and a clear roadmap. Retention matters too, but the roadmap comes first.', { guest: 'Bo Chen' }),
+    makeEpisode('Lenny (00:00):\nWhat about hiring?\n\nCy Diaz (00:09):\n' +
+      'Hiring product managers is about judgment. I ask candidates how they would grow retention for a product they love.', { guest: 'Cy Diaz' }),
+  ];
+  const vocabulary = loadVocabulary();
+  const data = {
+    episodes,
+    segments: episodes.flatMap(chunkTranscript),
+    frameworks: [],
+    insights: [],
+    vocabulary,
+  };
+  const compiled = compileVocabulary(vocabulary);
+  data.search_index = buildIndex(data, { vocabulary: compiled }).toJSON();
+  data.semantic_index = buildSemanticIndex(data.segments, { vocabulary: compiled });
+  return data;
+}
+
+const ids = response => response.results.map(r => r.id || `insight:${r.n}`);
+
+test('the app bundle and the library rank the same results', () => {
+  const data = corpus();
+  // The app reads the indexes back from the JSON embedded in the page
+  const app = createEngine(JSON.parse(JSON.stringify(data)));
+  const cli = createEngine(data);
+  for (const mode of ['keyword', 'semantic', 'hybrid']) {
+    for (const query of ['retention', 'roadmap prioritize', 'guest:"bo chen" retention']) {
+      assert.deepEqual(ids(app.search(query, { mode })), ids(cli.search(query, { mode })), `${mode}: ${query}`);
+    }
+  }
+});
+
+test('an engine without a prebuilt index builds the same keyword ranking', () => {
+  const data = corpus();
+  const bare = createEngine({ ...data, search_index: undefined, semantic_index: undefined });
+  const built = createEngine(data);
+  assert.deepEqual(ids(bare.search('retention', { mode: 'keyword' })), ids(built.search('retention', { mode: 'keyword' })));
+});
+
+test('search filters by guest and ranks matching segments', () => {
+  const engine = createEngine(corpus());
+  const { results } = engine.search('guest:"bo chen" retention', { mode: 'keyword' });
+  assert.ok(results.length > 0);
+  assert.ok(results.every(r => r.guest === 'Bo Chen'));
+  assert.equal(engine.search('zzzz', { mode: 'keyword' }).results.length, 0);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCueTime, formatTimestamp, parseFormat, adapterFor } = require('../lib/formats');
+
+test('parseCueTime reads SRT, WebVTT and short timings', () => {
+  assert.equal(parseCueTime('01:02:03,500'), 3723.5);
+  assert.equal(parseCueTime('02:03.25'), 123.25);
+  assert.equal(parseCueTime('7:05'), 425);
+  assert.equal(parseCueTime('soon'), null);
+});
+
+test('formatTimestamp pads to HH:MM:SS', () => {
+  assert.equal(formatTimestamp(3723.9), '01:02:03');
+  assert.equal(formatTimestamp(5), '00:00:05');
+});
+
+test('SRT cues become speaker turns from repeated name prefixes', () => {
+  const srt = [
+    '1', '00:00:01,000 --> 00:00:03,000', 'Lenny: Welcome to the show.', '',
+    '2', '00:00:03,000 --> 00:00:05,000', 'Welcome, everyone.', '',
+    '3', '00:00:06,000 --> 00:00:09,000', 'Ana Lee: Thanks for having me.', '',
+    '4', '00:00:10,000 --> 00:00:12,000', 'Lenny: Let us start.', '',
+    '5', '00:00:12,000 --> 00:00:14,000', 'Ana Lee: Sure.', '',
+  ].join('\n');
+  const { format, transcript, end } = parseFormat('ana-lee.srt', srt);
+  assert.equal(format, 'srt');
+  assert.equal(end, 14);
+  assert.equal(transcript.split('\n\n')[0], 'Lenny (00:00:01):\nWelcome to the show. Welcome, everyone.');
+  assert.match(transcript, /Ana Lee \(00:00:06\):\nThanks for having me\./);
+});
+
+test('WebVTT voice tags name the speaker and styling is dropped', () => {
+  const vtt = 'WEBVTT\n\n00:00:01.000 --> 00:00:04.000\n<v Ana Lee>We use <i>OKRs</i> &amp; metrics.\n\n' +
+    '00:00:05.000 --> 00:00:07.000\n<v Lenny>Tell me more.';
+  const { transcript } = parseFormat('ana-lee.vtt', vtt);
+  assert.equal(transcript, 'Ana Lee (00:00:01):\nWe use OKRs & metrics.\n\nLenny (00:00:05):\nTell me more.');
+});
+
+test('YouTube caption JSON keeps its metadata and drops repeated lines', () => {
+  const json = JSON.stringify({
+    videoId: 'abcdefghijk',
+    title: 'Growth',
+    captions: [
+      { text: 'hello there', start: 0, duration: 2 },
+      { text: 'hello there', start: 2, duration: 2 },
+      { text: 'general kenobi', start: 4, duration: 2 },
+    ],
+  });
+  const { format, meta, transcript } = parseFormat('ana-lee.json', json);
+  assert.equal(format, 'youtube-json');
+  assert.equal(meta.video_id, 'abcdefghijk');
+  assert.equal(meta.captions, undefined);
+  assert.equal(parseFormat('ana-lee.json', json).end, 6);
+  assert.equal(transcript, '(00:00:00):\nhello there general kenobi');
+});
+
+test('adapterFor only claims JSON files that hold captions', () => {
+  assert.equal(adapterFor('x.json', '{"name": "not captions"}'), null);
+  assert.equal(adapterFor('x.md').format, 'markdown');
+  assert.equal(adapterFor('x.txt'), null);
+  assert.throws(() => parseFormat('x.txt', 'hi'), /Unsupported transcript format/);
+});
+
+test('a name heading one cue is a speaker when it is a host or already speaks', () => {
+  const srt = [
+    '1', '00:00:01,000 --> 00:00:04,000', 'Ana Lee: We ship every week.', '',
+    '2', '00:00:05,000 --> 00:00:07,000', 'Lenny: Interesting.', '',
+    '3', '00:00:08,000 --> 00:00:10,000', 'Ana Lee: And we talk to users daily.', '',
+    '4', '00:00:11,000 --> 00:00:13,000', 'Value: faster insights.', '',
+  ].join('\n');
+  const { transcript } = parseFormat('ana-lee.srt', srt);
+  assert.deepEqual(transcript.split('\n\n').map(turn => turn.split(' (')[0]), ['Ana Lee', 'Lenny', 'Ana Lee']);
+  assert.match(transcript, /Ana Lee \(00:00:08\):\nAnd we talk to users daily\. Value: faster insights\.$/);
+
+  // Another show's hosts, and a speaker the voice tags already named
+  const other = parseFormat('ana-lee.srt', srt.replace('Lenny:', 'Ben Gilbert:'), { hostNames: ['Ben Gilbert'] }).transcript;
+  assert.match(other, /^Ana Lee \(00:00:01\):\nWe ship every week\.\n\nBen Gilbert \(00:00:05\):\nInteresting\./);
+  const vtt = 'WEBVTT\n\n00:00:01.000 --> 00:00:03.000\n<v Bo Chen>What changed?\n\n' +
+    '00:00:04.000 --> 00:00:06.000\n<v Ana Lee>We hired.\n\n00:00:07.000 --> 00:00:09.000\nBo Chen: Who first?';
+  assert.match(parseFormat('ana-lee.vtt', vtt).transcript, /\n\nBo Chen \(00:00:07\):\nWho first\?$/);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { segmentLinks, graphEdges } = require('../lib/framework-graph');
+const { compileRegistry } = require('../lib/frameworks');
+const { loadFrameworkRegistry } = require('../lib/framework-registry');
+
+const entries = loadFrameworkRegistry();
+const registry = compileRegistry(entries);
+const links = text => segmentLinks({ text }, registry);
+
+test('a comparison that names frameworks by acronym links them as competing', () => {
+  assert.deepEqual(links('RICE is like ICE but adds reach.'), [{
+    names: ['ICE Framework', 'RICE Framework'],
+    comparison: { text: 'RICE is like ICE but adds reach', competing: true },
+  }]);
+});
+
+test('side by side is a similar comparison', () => {
+  const [link] = links('OKRs pair well with a north star metric.');
+  assert.deepEqual(link.comparison, { text: 'OKRs pair well with a north star metric', competing: false });
+});
+
+test('acronyms outside comparisons, or in lower case, are not mentions', () => {
+  assert.deepEqual(links('We had RICE and ICE for lunch.'), []);
+  assert.deepEqual(links('The rice is like ice but warmer.'), []);
+});
+
+test('frameworks in different sentences are linked without a comparison', () => {
+  const found = links('We set OKRs every quarter. The north star metric is the one number we track.');
+  assert.equal(found.length, 1);
+  assert.equal(found[0].comparison, null);
+});
+
+test('a comparison links a framework the episode only names by its bare acronym', () => {
+  const framework = (name, episodeId, guest) => ({ name, episodes: [{ episode_id: episodeId, guest, guest_ids: [guest], depth: 1 }] });
+  const frameworks = [framework('RICE Framework', 'ep-a', 'Ada'), framework('ICE Framework', 'ep-b', 'Bo')];
+  const segments = [{ episode_id: 'ep-a', guest: 'Ada', estimated_time: '00:12:00', text: 'We score with the RICE framework. RICE is like ICE but adds reach.' }];
+
+  const [edge] = graphEdges(frameworks, segments, entries);
+  assert.equal(edge.source, 'ICE Framework');
+  assert.equal(edge.target, 'RICE Framework');
+  assert.equal(edge.kind, 'competing');
+  assert.equal(edge.comparisons, 1);
+  assert.equal(edge.connections[0].text, 'RICE is like ICE but adds reach');
+
+  // A framework no episode mentions is not in the graph, compared or not
+  assert.ok(graphEdges(frameworks.slice(0, 1), segments, entries).every(e => e.comparisons === 0));
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compileRegistry, findMentions, extractEpisodeFrameworks } = require('../lib/frameworks');
+const { loadFrameworkRegistry } = require('../lib/framework-registry');
+const { makeEpisode } = require('./helpers');
+
+const registry = compileRegistry(loadFrameworkRegistry());
+const framework = name => registry.find(f => f.name === name);
+const kinds = (name, text) => findMentions(framework(name), text.split(/[.!?]+/)).map(m => m.kind);
+
+test('a sentence that explains the framework is a defining mention', () => {
+  assert.deepEqual(kinds('North Star Metric', 'The north star metric is the single metric that captures the core value of your product.'), ['defining']);
+});
+
+test('a passing reference still counts', () => {
+  assert.deepEqual(kinds('OKRs', 'We set OKRs last quarter.'), ['reference']);
+});
+
+test('the words as a figure of speech are a false positive', () => {
+  assert.deepEqual(kinds('North Star Metric', 'Honestly my north star has always been my family.'), ['false_positive']);
+});
+
+test('a match inside a longer word is a false positive', () => {
+  assert.deepEqual(kinds('ICE Framework', 'The impact of confidence on easels is small.'), ['false_positive']);
+});
+
+test('an ad read the sponsor detection missed is a false positive', () => {
+  assert.deepEqual(kinds('OKRs', 'Coda helps you track OKRs, visit coda.io/lenny for a free trial.'), ['false_positive']);
+});
+
+test('episode frameworks count only confident mentions and rank by depth', () => {
+  const episode = makeEpisode('Lenny (00:00):\nWelcome.\n\nAna Lee (00:05):\n' +
+    'We use OKRs every quarter. OKRs means objectives with measurable key results. My north star is my family.');
+  const found = extractEpisodeFrameworks(episode, { registry });
+  const okrs = found.find(f => f.name === 'OKRs');
+  assert.equal(okrs.mentions, 2);
+  assert.ok(okrs.defining >= 1);
+  assert.ok(okrs.depth > okrs.confidence);
+  const northStar = found.find(f => f.name === 'North Star Metric');
+  assert.equal(northStar.mentions, 0);
+  assert.equal(northStar.false_positives, 1);
+});
+
+test('contexts are quoted without headings or speaker labels', () => {
+  const episode = makeEpisode([
+    '# The LNO framework',
+    '',
+    '## Transcript',
+    '',
+    'Shreyas Doshi (00:01:10):',
+    'The LNO framework is how I sort every task into leverage, neutral and overhead work.',
+    '',
+    'Lenny (00:02:00):',
+    'How do you use it day to day?',
+  ].join('\n'), { guest: 'Shreyas Doshi' });
+  const [lno] = extractEpisodeFrameworks(episode, { registry }).filter(f => f.name === 'LNO Framework');
+  assert.ok(lno.contexts.length > 0);
+  for (const context of lno.contexts) {
+    assert.doesNotMatch(context, /#|Shreyas Doshi|\(\d{2}:\d{2}/);
+  }
+  assert.match(lno.contexts[0], /^The LNO framework is how I sort every task/);
+});
+
+test('contexts drop plain Name: text labels too', () => {
+  const episode = makeEpisode([
+    'Lenny: What do you call that way of sorting your work?',
+    'Shreyas Doshi: LNO stands for leverage, neutral and overhead, and every task is one of the three.',
+    'Lenny: And how often do you sort them?',
+    'Shreyas Doshi: Every Monday, before the first meeting.',
+  ].join('\n'), { guest: 'Shreyas Doshi' });
+  const [lno] = extractEpisodeFrameworks(episode, { registry }).filter(f => f.name === 'LNO Framework');
+  assert.ok(lno.contexts.length > 0);
+  for (const context of lno.contexts) {
+    assert.doesNotMatch(context, /Shreyas Doshi:|Lenny:/);
+  }
+  assert.match(lno.contexts[0], /LNO stands for leverage/);
+});
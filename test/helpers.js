@@ -0,0 +1,35 @@
+/**
+ * Shared fixtures for the tests: episodes built from a transcript string
+ * the way ingest builds them from a file.
+ */
+
+const { parseTurns } = require('../lib/turns');
+const { detectSponsors } = require('../lib/sponsors');
+const { resolveGuests, guestLabel } = require('../lib/guests');
+
+/**
+ * An episode with speaker turns and sponsor reads detected
+ */
+function makeEpisode(transcript, fields = {}) {
+  const credit = fields.guest || 'Ana Lee';
+  const guests = resolveGuests(credit);
+  const episode = {
+    id: `lennys-podcast:${guests.map(person => person.id).join('-')}`,
+    guest: guestLabel(guests),
+    guests,
+    title: `Episode | ${credit}`,
+    video_id: 'abcdefghijk',
+    duration_seconds: 0,
+    channel: "Lenny's Podcast",
+    topics: [],
+    ...fields,
+    transcript,
+  };
+  episode.turns = parseTurns(transcript);
+  episode.sponsor_ranges = detectSponsors(episode);
+  return episode;
+}
+
+module.exports = {
+  makeEpisode,
+};
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readJson, defaultCacheDir, createStageCache } = require('../lib/incremental');
+
+test('readJson falls back on missing and unreadable files, warning only for unreadable ones', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pm-wisdom-'));
+  const warnings = [];
+  const warn = message => warnings.push(message);
+  fs.writeFileSync(path.join(dir, 'bad.json'), '{not json');
+  fs.writeFileSync(path.join(dir, 'good.json'), '{"a": 1}');
+
+  assert.equal(readJson(path.join(dir, 'missing.json'), null, warn), null);
+  assert.deepEqual(readJson(path.join(dir, 'bad.json'), [], warn), []);
+  assert.deepEqual(readJson(path.join(dir, 'good.json'), null, warn), { a: 1 });
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /Ignoring unreadable bad\.json/);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('stage caches follow the data directory unless given a cacheDir', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pm-wisdom-'));
+  assert.equal(defaultCacheDir(), path.join(__dirname, '../.cache'));
+  assert.equal(defaultCacheDir(dir), path.join(dir, '.cache'));
+
+  const episode = { id: 'show:ana-lee', content_hash: 'abc' };
+  const cache = createStageCache('extract', 'v1', { cacheDir: defaultCacheDir(dir) });
+  cache.resolve(episode, () => ['found']);
+  cache.save();
+  assert.ok(fs.existsSync(path.join(dir, '.cache/stages/extract.json')));
+
+  const reopened = createStageCache('extract', 'v1', { cacheDir: defaultCacheDir(dir) });
+  assert.deepEqual(reopened.resolve(episode, () => ['rescanned']), ['found']);
+  fs.rmSync(dir, { recursive: true });
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseTranscript, chunkTranscript } = require('../lib/ingest');
+const { loadGuestRegistry } = require('../lib/guests');
+const { makeEpisode } = require('./helpers');
+
+test('an ad read between guest turns gets a segment of its own', () => {
+  const episode = makeEpisode([
+    'Ana Lee (00:00):',
+    'We shipped weekly.',
+    '',
+    'Lenny (00:10):',
+    'This episode is brought to you by Coda. Visit coda.io/lenny to get started.',
+    '',
+    'Ana Lee (00:40):',
+    'Then we hired our first designer.',
+  ].join('\n'));
+  const segments = chunkTranscript(episode);
+  assert.deepEqual(segments.map(s => s.sponsor), [false, true, false]);
+  assert.equal(segments[0].text, 'We shipped weekly.');
+  assert.match(segments[1].text, /^This episode is brought to you by Coda\./);
+  assert.deepEqual(segments.map(s => s.speaker), ['Ana Lee', 'Lenny', 'Ana Lee']);
+});
+
+test('a caption file without a duration ends its last segment at the last cue', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pm-wisdom-'));
+  const file = path.join(dir, 'ana-lee.srt');
+  fs.writeFileSync(file, [
+    '1', '00:00:01,000 --> 00:00:04,000', 'Lenny: So what did you learn?', '',
+    '2', '00:00:05,000 --> 00:00:09,000', 'Ana Lee: Ship small and talk to users.', '',
+    '3', '00:00:09,000 --> 00:01:30,500', 'Ana Lee: Every single week.', '',
+    '4', '00:01:31,000 --> 00:01:33,000', 'Lenny: Thanks.', '',
+  ].join('\n'));
+  const episode = parseTranscript(file, null, { guestRegistry: loadGuestRegistry(), metadata: {} });
+  fs.rmSync(dir, { recursive: true });
+
+  assert.equal(episode.duration_seconds, 93);
+  const segments = chunkTranscript(episode);
+  assert.equal(segments[segments.length - 1].end_time, 93);
+});
+
+test('hosts come from the source, and default to Lenny only on his show', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pm-wisdom-'));
+  const file = path.join(dir, 'ana-lee', 'transcript.md');
+  fs.mkdirSync(path.dirname(file));
+  fs.writeFileSync(file, [
+    'Ben Gilbert (00:00):', 'Welcome back.', '',
+    'Lenny (00:05):', 'Thanks for having me.', '',
+    'Ana Lee (00:10):', 'Glad to be here.',
+  ].join('\n'));
+  const context = { guestRegistry: loadGuestRegistry(), metadata: {} };
+  const roles = (show, hosts) => parseTranscript(file, show, { ...context, hosts }).turns.map(turn => turn.role);
+
+  assert.deepEqual(roles("Lenny's Podcast"), ['guest', 'host', 'guest']);
+  assert.deepEqual(roles('Acquired'), ['guest', 'guest', 'guest']);
+  assert.deepEqual(roles('Acquired', ['Ben Gilbert', 'David Rosenthal']), ['host', 'guest', 'guest']);
+  fs.rmSync(dir, { recursive: true });
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { cleanInsight, scoreInsight, extractEpisodeInsights, dedupeInsights } = require('../lib/insights');
+const { makeEpisode } = require('./helpers');
+
+test('cleanInsight strips labels, timestamps and filler', () => {
+  assert.equal(cleanInsight('So um, the key lesson is\nShreyas Doshi (00:01:10): ship it (00:02)'), 'The key lesson is ship it.');
+  assert.equal(cleanInsight('  '), '');
+});
+
+test('quotable advice outscores hedged fragments', () => {
+  const advice = 'My advice would be to talk to five customers every week before you write a single spec.';
+  const hedge = 'The truth is, it depends, I guess, kind of.';
+  assert.ok(scoreInsight(advice) > scoreInsight(hedge));
+  assert.ok(scoreInsight(advice) >= 0.5);
+  assert.ok(scoreInsight(hedge) < 0.5);
+});
+
+test('insights come from guest turns only and skip junk', () => {
+  const episode = makeEpisode([
+    'Lenny (00:00):',
+    'The key lesson is that every guest has a different story to tell us today.',
+    '',
+    'Ana Lee (01:00):',
+    'My advice would be to talk to five customers every week before you write a single spec. The truth is, it depends, I guess, kind of.',
+  ].join('\n'));
+  const insights = extractEpisodeInsights(episode);
+  assert.deepEqual(insights.map(i => i.text), ['My advice would be to talk to five customers every week before you write a single spec.']);
+  assert.equal(insights[0].episode_id, episode.id);
+  assert.ok(insights[0].score >= 0.5);
+});
+
+test('near-duplicates merge into the best one, listing the other episodes', () => {
+  const insight = (text, episodeId, score) => ({ text, episode_id: episodeId, guest: 'Ana Lee', estimated_time: null, topic: null, score });
+  const kept = dedupeInsights([
+    insight('My advice is to talk to customers every week.', 'show:a', 0.7),
+    insight('My advice is to talk to your customers every single week.', 'show:b', 0.9),
+    insight('The secret is to hire slowly and fire fast.', 'show:a', 0.6),
+  ]);
+  assert.equal(kept.length, 2);
+  assert.equal(kept[0].episode_id, 'show:b');
+  assert.deepEqual(kept[0].also_in, ['show:a']);
+});
+
+test('each insight is credited to the guest who says it, at the time they say it', () => {
+  const episode = makeEpisode([
+    'Lenny (00:00):',
+    'Welcome to you both.',
+    '',
+    'Hamel Husain (00:10):',
+    'We started with spreadsheets. My advice would be to look at your data before you build any evals at all.',
+    '',
+    'Shreya Shankar (00:30):',
+    'Here\'s the thing. You have to write down what failure looks like before you measure anything.',
+  ].join('\n'), { guest: 'Hamel Husain & Shreya Shankar' });
+  const insights = extractEpisodeInsights(episode);
+  assert.deepEqual(insights.map(i => [i.guest, i.guest_id, i.estimated_time]), [
+    // Four words into a 20 word turn that runs from 0:10 to 0:30
+    ['Hamel Husain', 'hamel-husain', 14],
+    ['Shreya Shankar', 'shreya-shankar', 30],
+  ]);
+});
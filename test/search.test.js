@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildIndex, searchIndex } = require('../lib/search');
+const { loadVocabulary, compileVocabulary } = require('../lib/vocabulary');
+
+const vocabulary = compileVocabulary(loadVocabulary());
+const segments = [
+  { id: 'jtbd', text: 'Customers hire products for jobs to be done, not for features.' },
+  { id: 'shipped', text: 'We got the launch done in a week.' },
+  { id: 'hiring', text: 'Most jobs in product are about judgment.' },
+  { id: 'sales-led', text: 'A sales-led motion needs a different roadmap.' },
+  { id: 'sales', text: 'Our sales team grew to forty people.' },
+  { id: 'about', text: 'Abandoned carts are a growth problem.' },
+];
+const index = buildIndex({ segments }, { vocabulary });
+const found = (query, options = { vocabulary }) => searchIndex(index, query, options).map(hit => hit.id).sort();
+
+test('a hyphenated phrase the vocabulary knows matches it, not each of its words', () => {
+  assert.deepEqual(found('jobs-to-be-done'), ['jtbd']);
+});
+
+test('other hyphenated words need every part', () => {
+  assert.deepEqual(found('sales-led'), ['sales-led']);
+  assert.deepEqual(found('sales led'), ['sales', 'sales-led']);
+});
+
+test('short words are matched as typed, longer ones also as a prefix', () => {
+  assert.deepEqual(found('ab'), []);
+  assert.deepEqual(found('aband'), ['about']);
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveSource, cacheDirFor, prepareSource } = require('../lib/sources');
+
+test('sources with the same name unpack into different directories', () => {
+  const a = cacheDirFor(resolveSource('https://github.com/alice/transcripts.git'));
+  const b = cacheDirFor(resolveSource('https://github.com/bob/transcripts.git'));
+  assert.notEqual(a, b);
+  assert.match(path.basename(a), /^git-transcripts-[0-9a-f]{8}$/);
+
+  const zipA = cacheDirFor(resolveSource('./exports/2024/transcripts.zip'));
+  const zipB = cacheDirFor(resolveSource('./exports/2025/transcripts.zip'));
+  assert.notEqual(zipA, zipB);
+  assert.equal(zipA, cacheDirFor(resolveSource('./exports/2024/transcripts.zip')));
+});
+
+test('preparing a source reports progress through the log callback', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pm-wisdom-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(dir, 'ana-lee'));
+  fs.writeFileSync(path.join(dir, 'ana-lee', 'transcript.md'), 'Ana Lee: Hello.\nAna Lee: Bye.\n');
+
+  const printed = t.mock.method(console, 'log', () => {});
+  const lines = [];
+  assert.equal(prepareSource(dir, { log: line => lines.push(line) }).episodesDir, dir);
+  assert.match(lines[0], /Preparing dir source/);
+  assert.equal(printed.mock.callCount(), 0);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { contentText, sponsorShare } = require('../lib/sponsors');
+const { makeEpisode } = require('./helpers');
+
+const TRANSCRIPT = [
+  'Lenny (00:00):',
+  'This episode is brought to you by Coda. Visit coda.io/lenny to get started.',
+  '',
+  'Ana Lee (00:40):',
+  'I was the first PM at Linear, and we shipped every week.',
+  '',
+  'Lenny (05:00):',
+  'How did you prioritize?',
+].join('\n');
+
+test('a host ad read is tagged, a guest naming a sponsor is not', () => {
+  const episode = makeEpisode(TRANSCRIPT);
+  assert.deepEqual(episode.turns.map(t => t.sponsor), [true, false, false]);
+  assert.equal(episode.sponsor_ranges.length, 1);
+  assert.equal(episode.sponsor_ranges[0].start, 0);
+});
+
+test('contentText leaves ad reads out unless asked to keep them', () => {
+  const episode = makeEpisode(TRANSCRIPT);
+  assert.doesNotMatch(contentText(episode), /Coda/);
+  assert.match(contentText(episode), /first PM at Linear/);
+  assert.match(contentText(episode, { includeSponsors: true }), /brought to you by Coda/);
+});
+
+test('sponsorShare measures how much of a range is an ad', () => {
+  const ranges = [{ start: 10, end: 20 }];
+  assert.equal(sponsorShare(ranges, 0, 20), 0.5);
+  assert.equal(sponsorShare(ranges, 20, 30), 0);
+  assert.equal(sponsorShare([], 0, 10), 0);
+});
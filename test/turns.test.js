@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTurns, parseTimestamp, isHost } = require('../lib/turns');
+
+test('labeled turns carry speaker, role, start and offset', () => {
+  const transcript = 'Lenny (00:00):\nWelcome.\n\nAna Lee (01:05):\nThanks.\n\n(01:30):\nAnd one more thing.';
+  const turns = parseTurns(transcript);
+  assert.deepEqual(turns.map(t => [t.speaker, t.role, t.start, t.text]), [
+    ['Lenny', 'host', 0, 'Welcome.'],
+    ['Ana Lee', 'guest', 65, 'Thanks.'],
+    // A bare timestamp continues the same speaker
+    ['Ana Lee', 'guest', 90, 'And one more thing.'],
+  ]);
+  assert.equal(transcript.slice(turns[1].offset, turns[1].offset + 7), 'Ana Lee');
+});
+
+test('plain "Name: text" turns need a name that heads two turns', () => {
+  const transcript = 'Lenny: Hi there.\nAna: Hello.\nLenny: So.\nAna: Yes.\nValue: faster insights';
+  const turns = parseTurns(transcript);
+  assert.deepEqual(turns.map(t => t.speaker), ['Lenny', 'Ana', 'Lenny', 'Ana']);
+  assert.equal(turns[3].text, 'Yes. Value: faster insights');
+  assert.equal(turns[0].start, null);
+});
+
+test('no labels means no turns', () => {
+  assert.deepEqual(parseTurns('Just a wall of text without speakers.'), []);
+  assert.deepEqual(parseTurns(''), []);
+});
+
+test('timestamps and hosts', () => {
+  assert.equal(parseTimestamp('01:02:03'), 3723);
+  assert.equal(parseTimestamp('07:50'), 470);
+  assert.ok(isHost('lenny rachitsky'));
+  assert.ok(!isHost('Ana Lee'));
+});